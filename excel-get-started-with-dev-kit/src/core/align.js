@@ -0,0 +1,190 @@
+// Sequence alignment used to detect inserted/deleted rows and columns.
+// Sequences are arrays of signatures (numbers); equal signatures are treated as identical lines.
+
+// Largest middle section (n * m) solved with a full LCS table; bigger sections use patience anchors first.
+const DP_LIMIT = 1 << 22;
+// Largest unmatched gap (da * db) paired by similarity instead of position
+const SIMILARITY_PAIR_LIMIT = 10000;
+// Minimum similarity for two unmatched lines to be paired as "the same line, modified"
+const MIN_SIMILARITY = 0.5;
+
+// 32-bit FNV-1a hash of a string
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function lcsTable(a, aLo, aHi, b, bLo, bHi, aToB) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const w = m + 1;
+  const t = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      t[i * w + j] =
+        a[aLo + i] === b[bLo + j] ? t[(i + 1) * w + j + 1] + 1 : Math.max(t[(i + 1) * w + j], t[i * w + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[aLo + i] === b[bLo + j]) {
+      aToB[aLo + i] = bLo + j;
+      i++;
+      j++;
+    } else if (t[(i + 1) * w + j] >= t[i * w + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+}
+
+// Lines that occur exactly once in both ranges, ordered by a-index, reduced to their longest
+// increasing run of b-indexes (patience diff anchors).
+function patienceAnchors(a, aLo, aHi, b, bLo, bHi) {
+  const counts = new Map(); // sig -> { a, b, ai, bi }
+  for (let i = aLo; i < aHi; i++) {
+    const e = counts.get(a[i]);
+    if (e) e.a++;
+    else counts.set(a[i], { a: 1, b: 0, ai: i, bi: -1 });
+  }
+  for (let j = bLo; j < bHi; j++) {
+    const e = counts.get(b[j]);
+    if (!e) continue;
+    e.b++;
+    e.bi = j;
+  }
+  const uniques = [];
+  for (const e of counts.values()) {
+    if (e.a === 1 && e.b === 1) uniques.push(e);
+  }
+  uniques.sort((x, y) => x.ai - y.ai);
+  // Longest increasing subsequence on bi
+  const tails = [];
+  const prev = new Array(uniques.length).fill(-1);
+  for (let k = 0; k < uniques.length; k++) {
+    const bi = uniques[k].bi;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (uniques[tails[mid]].bi < bi) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[k] = tails[lo - 1];
+    tails[lo] = k;
+  }
+  const anchors = [];
+  let k = tails.length ? tails[tails.length - 1] : -1;
+  while (k >= 0) {
+    anchors.push(uniques[k]);
+    k = prev[k];
+  }
+  return anchors.reverse();
+}
+
+function matchRange(a, aLo, aHi, b, bLo, bHi, aToB) {
+  // Common prefix/suffix
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    aToB[aLo++] = bLo++;
+  }
+  while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+    aToB[--aHi] = --bHi;
+  }
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  if (!n || !m) return;
+  if (n * m <= DP_LIMIT) {
+    lcsTable(a, aLo, aHi, b, bLo, bHi, aToB);
+    return;
+  }
+  const anchors = patienceAnchors(a, aLo, aHi, b, bLo, bHi);
+  // No unique lines in common: leave the section unmatched (paired positionally later)
+  if (!anchors.length) return;
+  let pa = aLo;
+  let pb = bLo;
+  for (const an of anchors) {
+    matchRange(a, pa, an.ai, b, pb, an.bi, aToB);
+    aToB[an.ai] = an.bi;
+    pa = an.ai + 1;
+    pb = an.bi + 1;
+  }
+  matchRange(a, pa, aHi, b, pb, bHi, aToB);
+}
+
+// Pair unmatched lines inside one gap. Equal-sized gaps are paired positionally (a modified block) unless
+// positionalEqualGaps is off; otherwise lines are paired by similarity when affordable, and whatever stays
+// unpaired is inserted/deleted.
+function pairGap(aLo, aHi, bLo, bHi, aToB, similarity, positionalEqualGaps) {
+  const da = aHi - aLo;
+  const db = bHi - bLo;
+  if (!da || !db) return;
+  if ((da === db && positionalEqualGaps) || !similarity || da * db > SIMILARITY_PAIR_LIMIT) {
+    // Without an affordable similarity measure, assume a modified block followed by the surplus lines
+    const k = Math.min(da, db);
+    for (let i = 0; i < k; i++) aToB[aLo + i] = bLo + i;
+    return;
+  }
+  // Weighted alignment: maximize the total similarity of pairs at or above MIN_SIMILARITY
+  const w = db + 1;
+  const score = new Float64Array((da + 1) * w);
+  const sims = new Float64Array(da * db);
+  for (let i = 0; i < da; i++) {
+    for (let j = 0; j < db; j++) sims[i * db + j] = similarity(aLo + i, bLo + j);
+  }
+  for (let i = da - 1; i >= 0; i--) {
+    for (let j = db - 1; j >= 0; j--) {
+      const s = sims[i * db + j];
+      let best = Math.max(score[(i + 1) * w + j], score[i * w + j + 1]);
+      if (s >= MIN_SIMILARITY) best = Math.max(best, score[(i + 1) * w + j + 1] + s);
+      score[i * w + j] = best;
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < da && j < db) {
+    const s = sims[i * db + j];
+    if (s >= MIN_SIMILARITY && score[i * w + j] === score[(i + 1) * w + j + 1] + s) {
+      aToB[aLo + i] = bLo + j;
+      i++;
+      j++;
+    } else if (score[(i + 1) * w + j] >= score[i * w + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+}
+
+// Align two signature sequences.
+// similarity(i, j) (optional) scores an unmatched a-line against an unmatched b-line in [0, 1].
+// Options:
+// - positionalEqualGaps: pair equal-sized unmatched gaps by position without scoring (default: true)
+// Returns { aToB, bToA } as Int32Arrays; -1 marks an inserted (a) or deleted (b) line.
+export function alignSequences(a, b, similarity, options = {}) {
+  const { positionalEqualGaps = true } = options;
+  const n = a.length;
+  const m = b.length;
+  const aToB = new Int32Array(n).fill(-1);
+  matchRange(a, 0, n, b, 0, m, aToB);
+  // Pair the unmatched gaps between consecutive matches
+  let pa = 0;
+  let pb = 0;
+  for (let i = 0; i <= n; i++) {
+    if (i < n && aToB[i] < 0) continue;
+    const nb = i < n ? aToB[i] : m;
+    pairGap(pa, i, pb, nb, aToB, similarity, positionalEqualGaps);
+    pa = i + 1;
+    pb = nb + 1;
+  }
+  const bToA = new Int32Array(m).fill(-1);
+  for (let i = 0; i < n; i++) {
+    if (aToB[i] >= 0) bToA[aToB[i]] = i;
+  }
+  return { aToB, bToA };
+}
@@ -0,0 +1,186 @@
+// Dynamic array spills and legacy array formulas: their diff and change text.
+// Model sheets carry them as `arrays`: [{ range, kind: "spill" | "array" }] with range the area the formula fills
+// ("B2:B11"), whose top-left cell is the anchor holding the formula: "spill" for dynamic array formulas (FILTER,
+// SORT, UNIQUE, ...) and "array" for legacy Ctrl+Shift+Enter array formulas; null when the sheet could not be
+// captured. Spilled cells are stored as plain values and array formula cells each with the anchor's formula, as
+// Excel reports them. Models list the kinds they captured as `arrayKinds`; older models have neither.
+import { baselinePosition } from "./changes";
+import { cellAddress, getCell, parseRange } from "./cells";
+
+// Kinds both models captured, or null when either captured none
+export function commonArrayKinds(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return null;
+  const kinds = a.filter((k) => b.includes(k));
+  return kinds.length ? kinds : null;
+}
+
+// "B2:B11", or "B2" for a single cell
+function rectText({ r1, c1, r2, c2 }) {
+  const start = cellAddress(r1, c1);
+  return r1 === r2 && c1 === c2 ? start : `${start}:${cellAddress(r2, c2)}`;
+}
+
+// Inverse of baselinePosition for one axis: local current index of a local baseline index (-1 when deleted)
+function currentIndex(map, local) {
+  if (!map || local < 0 || local >= map.length) return local;
+  return map.indexOf(local);
+}
+
+// Current coordinates of a baseline array: its anchor follows the alignment (keeping its baseline coordinate when
+// its row or column was deleted), its size stays
+function currentRect(sheetDiff, rect) {
+  const r = currentIndex(sheetDiff.rowMap, rect.r1 - sheetDiff.rowBase);
+  const c = currentIndex(sheetDiff.colMap, rect.c1 - sheetDiff.colBase);
+  const r1 = r < 0 ? rect.r1 : sheetDiff.rowBase + r;
+  const c1 = c < 0 ? rect.c1 : sheetDiff.colBase + c;
+  return { r1, c1, r2: r1 + rect.r2 - rect.r1, c2: c1 + rect.c2 - rect.c1 };
+}
+
+// Array entries of a model sheet the comparison covers, with their parsed areas
+function sheetArrays(sheet, kinds) {
+  return (sheet.arrays || [])
+    .filter((a) => kinds.includes(a.kind))
+    .map((a) => ({ ...a, rect: parseRange(a.range) }))
+    .filter((a) => a.rect);
+}
+
+// One side of an array change: { kind, range, rows, columns, formula, r1c1 } (formula the anchor's)
+function arraySide(model, sidx, a) {
+  const sh = model.sheets[sidx];
+  const cell = getCell(
+    model,
+    sidx,
+    a.rect.r1 - Math.max(0, sh.rowOffset || 0),
+    a.rect.c1 - Math.max(0, sh.colOffset || 0)
+  );
+  return {
+    kind: a.kind,
+    range: rectText(a.rect),
+    rows: a.rect.r2 - a.rect.r1 + 1,
+    columns: a.rect.c2 - a.rect.c1 + 1,
+    formula: cell.f || null,
+    r1c1: cell.r1c1 || null,
+  };
+}
+
+// Spill and array formula changes of one sheet pair, in the sheet diff's alignment; arrays pair by anchor cell.
+// Cells both sides spill are calculated results, so their literal changes are recoded from codes.CODE_FORMULA to
+// codes.CODE_VALUE in sheetDiff.cells. Returns [{ kind, change, range, rect, area, row, col, address, baseRow,
+// baseCol, baseAddress, old, new, formulaChanged, resized, cells }] with change "added" | "removed" | "changed",
+// old/new the array sides ({ kind, range, rows, columns, formula, r1c1 }, null on the side without one), rect the
+// array's current area and area that of both sides together (zero-based absolute current coordinates, with row/col
+// its anchor), and cells the number of changed cells in the area, the anchor's only when its formula is unchanged.
+// Unchanged arrays are left out, as are sheets either side could not capture. kinds: the array kinds to compare
+// (see commonArrayKinds).
+export function diffSheetArrays(curr, ai, base, bi, sheetDiff, kinds, codes) {
+  if (!Array.isArray(curr.sheets[ai].arrays) || !Array.isArray(base.sheets[bi].arrays)) return [];
+  const { CODE_NONE, CODE_VALUE, CODE_FORMULA, CODE_REF_SHIFT } = codes;
+  const { rows, cols, rowBase, colBase, cells } = sheetDiff;
+  const codeAt = (r, c) => {
+    const lr = r - rowBase;
+    const lc = c - colBase;
+    return (lr >= 0 && lr < rows && lc >= 0 && lc < cols && cells.get(lr * cols + lc)) || CODE_NONE;
+  };
+  const key = (r, c) => `${r}:${c}`;
+  const baseByAnchor = new Map();
+  for (const a of sheetArrays(base.sheets[bi], kinds)) baseByAnchor.set(key(a.rect.r1, a.rect.c1), a);
+  const pairs = [];
+  for (const a of sheetArrays(curr.sheets[ai], kinds)) {
+    const pos = baselinePosition(sheetDiff, a.rect.r1, a.rect.c1);
+    const k = pos ? key(pos.row, pos.col) : null;
+    const prev = k ? baseByAnchor.get(k) : null;
+    if (prev) baseByAnchor.delete(k);
+    pairs.push({ a, b: prev || null });
+  }
+  for (const b of baseByAnchor.values()) pairs.push({ a: null, b });
+
+  const out = [];
+  for (const { a, b } of pairs) {
+    const now = a ? arraySide(curr, ai, a) : null;
+    const old = b ? arraySide(base, bi, b) : null;
+    const rect = a ? a.rect : currentRect(sheetDiff, b.rect);
+    const prevRect = b ? currentRect(sheetDiff, b.rect) : rect;
+    const area = {
+      r1: Math.min(rect.r1, prevRect.r1),
+      c1: Math.min(rect.c1, prevRect.c1),
+      r2: Math.max(rect.r2, prevRect.r2),
+      c2: Math.max(rect.c2, prevRect.c2),
+    };
+    let changed = 0;
+    for (let r = area.r1; r <= area.r2; r++) {
+      for (let c = area.c1; c <= area.c2; c++) {
+        let code = codeAt(r, c);
+        const both = r <= rect.r2 && c <= rect.c2 && r <= prevRect.r2 && c <= prevRect.c2;
+        if (code === CODE_FORMULA && both && now && old && now.kind === "spill" && old.kind === "spill") {
+          code = CODE_VALUE;
+          cells.set((r - rowBase) * cols + (c - colBase), code);
+        }
+        if (code !== CODE_NONE) changed++;
+      }
+    }
+    const anchorCode = codeAt(rect.r1, rect.c1);
+    const formulaChanged =
+      Boolean(now && old) &&
+      (anchorCode === CODE_FORMULA ||
+        anchorCode === CODE_REF_SHIFT ||
+        (anchorCode !== CODE_NONE && anchorCode !== CODE_VALUE && now.r1c1 !== old.r1c1));
+    // The anchor's own result counts among the array's cells unless its formula changed
+    if (formulaChanged) changed--;
+    const resized = Boolean(now && old) && (now.rows !== old.rows || now.columns !== old.columns);
+    const kindChanged = Boolean(now && old) && now.kind !== old.kind;
+    if (now && old && !formulaChanged && !resized && !kindChanged && !changed) continue;
+    let change = "changed";
+    if (!old) change = "added";
+    else if (!now) change = "removed";
+    out.push({
+      kind: (now || old).kind,
+      change,
+      range: rectText(rect),
+      rect,
+      area,
+      row: rect.r1,
+      col: rect.c1,
+      address: cellAddress(rect.r1, rect.c1),
+      baseRow: b ? b.rect.r1 : null,
+      baseCol: b ? b.rect.c1 : null,
+      baseAddress: b ? cellAddress(b.rect.r1, b.rect.c1) : null,
+      old,
+      new: now,
+      formulaChanged,
+      resized,
+      cells: changed,
+    });
+  }
+  return out.sort((x, y) => x.row - y.row || x.col - y.col);
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// e.g. "grew from 10 to 14 rows" or "shrank from 3 to 2 columns"
+function sizeText(from, to, word) {
+  return `${to > from ? "grew" : "shrank"} from ${from} to ${plural(to, word)}`;
+}
+
+function kindLabel(kind) {
+  return kind === "spill" ? "spill" : "array formula";
+}
+
+// Human-readable spill or array formula change, e.g. "spill grew from 10 to 14 rows" or "anchor formula changed:
+// =SORT(A2:A11) → =SORT(A2:A15); 4 spilled cells changed"; callers name the anchor cell
+export function describeArrayChange(entry) {
+  const label = kindLabel(entry.kind);
+  if (entry.change === "added") return `${label} added over ${entry.new.range}: ${entry.new.formula || "(no formula)"}`;
+  if (entry.change === "removed") {
+    return `${label} removed (was ${entry.old.formula || "(no formula)"} over ${entry.old.range})`;
+  }
+  const { old, new: now } = entry;
+  const parts = [];
+  if (old.kind !== now.kind) parts.push(`converted from ${kindLabel(old.kind)} to ${label}`);
+  if (entry.formulaChanged) parts.push(`anchor formula changed: ${old.formula} → ${now.formula}`);
+  if (now.rows !== old.rows) parts.push(`${label} ${sizeText(old.rows, now.rows, "row")}`);
+  if (now.columns !== old.columns) parts.push(`${label} ${sizeText(old.columns, now.columns, "column")}`);
+  if (entry.cells) parts.push(`${plural(entry.cells, entry.kind === "spill" ? "spilled cell" : "array cell")} changed`);
+  return parts.join("; ");
+}
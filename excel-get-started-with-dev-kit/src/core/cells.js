@@ -0,0 +1,156 @@
+// Cell-level helpers shared by the diff engine and its matchers.
+// A cell is { v, f, t, r1c1 }: value, formula text (with leading "=") or null, Excel value type, and the
+// formula in relative R1C1 form.
+import { a1ToR1C1 } from "./r1c1";
+
+// Text normalization levels, weakest first:
+// - exact: compare as stored
+// - trim: ignore leading/trailing whitespace
+// - collapse: also treat any run of whitespace (Unicode spaces, newlines) as one space
+// - full: also NFC-normalize, drop zero-width characters, and straighten smart quotes
+export const TEXT_LEVELS = ["exact", "trim", "collapse", "full"];
+
+// Normalize text to handle differences between uploaded files and snapshots
+// This handles invisible Unicode differences that look identical in Excel
+export function normalizeText(text, level = "full") {
+  if (typeof text !== "string") return text;
+  if (level === "exact") return text;
+  if (level === "trim") return text.trim();
+  if (level === "collapse") {
+    return text
+      .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  return (
+    text
+      .trim() // Remove leading/trailing whitespace
+      // Normalize Unicode to NFC form (combines characters consistently)
+      .normalize("NFC")
+      // Replace various Unicode whitespace with regular spaces
+      .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, " ")
+      // Replace zero-width characters
+      .replace(/[\u200B-\u200D\uFEFF]/g, "")
+      // Normalize newlines to spaces (Excel often stores these as spaces)
+      .replace(/[\r\n]+/g, " ")
+      // Collapse multiple spaces to single space
+      .replace(/\s+/g, " ")
+      // Normalize quotes (smart quotes to straight quotes)
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\u201C\u201D]/g, '"')
+      // Final trim in case normalization added spaces
+      .trim()
+  );
+}
+
+export function isBlankCell(cell) {
+  // cell: { v, f, t }
+  const hasFormula = typeof cell.f === "string" && cell.f.startsWith("=");
+  if (hasFormula) return false;
+  if (cell.v === null || cell.v === "") return true;
+  if (cell.t === "Empty") return true;
+  return false;
+}
+
+// Column letters for a zero-based column index (0 -> "A", 27 -> "AB")
+export function columnLetter(c) {
+  let x = c + 1;
+  let s = "";
+  while (x > 0) {
+    const rem = (x - 1) % 26;
+    s = String.fromCharCode(65 + rem) + s;
+    x = Math.floor((x - 1) / 26);
+  }
+  return s;
+}
+
+// A1 address (no sheet, no $) for zero-based absolute coordinates
+export function cellAddress(row, col) {
+  return `${columnLetter(col)}${row + 1}`;
+}
+
+function columnIndex(letters) {
+  let c = 0;
+  for (let i = 0; i < letters.length; i++) c = c * 26 + (letters.charCodeAt(i) - 64);
+  return c - 1;
+}
+
+// "B2:D10", "B2", "Sheet1!B2:D10" or { r1, c1, r2, c2 } (zero-based, inclusive) -> { r1, c1, r2, c2 }, or null
+export function parseRange(range) {
+  if (!range) return null;
+  if (typeof range === "object") {
+    const { r1, c1, r2 = r1, c2 = c1 } = range;
+    if (![r1, c1, r2, c2].every(Number.isInteger)) return null;
+    return { r1: Math.min(r1, r2), c1: Math.min(c1, c2), r2: Math.max(r1, r2), c2: Math.max(c1, c2) };
+  }
+  const text = String(range);
+  const local = text
+    .slice(text.lastIndexOf("!") + 1)
+    .replace(/\$/g, "")
+    .toUpperCase();
+  const parts = local.split(":");
+  const ends = parts.map((p) => /^([A-Z]{1,3})(\d+)$/.exec(p));
+  if (!ends.length || ends.length > 2 || ends.some((m) => !m)) return null;
+  const [a, b = a] = ends;
+  return parseRange({
+    r1: parseInt(a[2], 10) - 1,
+    c1: columnIndex(a[1]),
+    r2: parseInt(b[2], 10) - 1,
+    c2: columnIndex(b[1]),
+  });
+}
+
+// Sheet name as written in a reference ("Sheet1", "'My Sheet'"), quoted when Excel would
+export function quoteSheetName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+// Cell at used-range-local (r, c): { v, f, t, r1c1, nf, style }; r1c1 is the relative R1C1 formula (null without
+// a formula), converted from A1 for models saved before formulasR1C1 was captured; nf is the number format
+// (null unless captured and not General; dates and times keep theirs as a hint, see dates.js); style is the cell
+// style (null unless captured, see styles.js).
+// Reads sparse sheets (see sparse.js) and the older dense layout.
+export function getCell(model, sidx, r, c) {
+  const sh = model.sheets[sidx];
+  if (!sh) return { v: null, f: null, t: "Empty", r1c1: null };
+  if (r >= sh.rowCount || c >= sh.columnCount) return { v: null, f: null, t: "Empty", r1c1: null };
+  if (sh.cells && !sh.values) {
+    const rec = sh.cells[r] ? sh.cells[r][c] : undefined;
+    if (!rec) return { v: null, f: null, t: "Empty", r1c1: null };
+    const [v, t, f = null, stored = null, nf = null, style = null] = rec;
+    const r1c1 = f
+      ? stored || a1ToR1C1(f, r + Math.max(0, sh.rowOffset || 0), c + Math.max(0, sh.colOffset || 0))
+      : null;
+    return { v, f, t, r1c1, nf, style };
+  }
+  const v = sh.values[r] && sh.values[r][c] !== undefined ? sh.values[r][c] : null;
+  const f = (sh.formulas[r] && sh.formulas[r][c]) || null;
+  const t = (sh.valueTypes[r] && sh.valueTypes[r][c]) || "Empty";
+  let r1c1 = null;
+  if (f) {
+    const stored = sh.formulasR1C1 && sh.formulasR1C1[r] ? sh.formulasR1C1[r][c] : null;
+    r1c1 = stored || a1ToR1C1(f, r + Math.max(0, sh.rowOffset || 0), c + Math.max(0, sh.colOffset || 0));
+  }
+  return { v, f, t, r1c1 };
+}
+
+// Cell at absolute (A1-origin, zero-based) sheet coordinates
+export function cellAt(model, sidx, row, col) {
+  const sh = model.sheets[sidx];
+  const r = row - Math.max(0, (sh && sh.rowOffset) || 0);
+  const c = col - Math.max(0, (sh && sh.colOffset) || 0);
+  if (r < 0 || c < 0) return { v: null, f: null, t: "Empty", r1c1: null };
+  return getCell(model, sidx, r, c);
+}
+
+// Signature text of one cell for alignment: calculated value only, so formulas whose references
+// shifted with an insertion still line up. Text follows the comparison's normalization level and case rule.
+export function cellKey(cell, level = "full", caseSensitive = true) {
+  if (isBlankCell(cell)) return "";
+  const v = cell.v;
+  if (v === null || v === undefined) return "=";
+  if (typeof v !== "string") return String(v);
+  const t = normalizeText(v, level);
+  return caseSensitive ? t : t.toLowerCase();
+}
@@ -0,0 +1,247 @@
+// Change records: one record per changed cell, read lazily from a diff's per-sheet change sets and the two
+// workbook models. Lists are iterable, pageable and filterable by sheet, category and range.
+import { cellAt, cellAddress, parseRange } from "./cells";
+import { indexTables, tableCellLabel } from "./tables";
+
+const EMPTY_CELL = { v: null, f: null, t: "Empty" };
+
+// Cell at absolute sheet coordinates, or an empty cell when the model or sheet is missing
+function namedCellAt(model, sheetName, row, col) {
+  const sidx = model ? model.sheets.findIndex((s) => s.name === sheetName) : -1;
+  return sidx < 0 ? EMPTY_CELL : cellAt(model, sidx, row, col);
+}
+
+function side(cell) {
+  return {
+    value: cell.v === undefined ? null : cell.v,
+    formula: cell.f || null,
+    type: cell.t || "Empty",
+    numberFormat: cell.nf || null,
+    style: cell.style || null,
+  };
+}
+
+// Absolute baseline coordinates of an absolute current cell, following the sheet diff's row/column alignment;
+// null when the row or column was inserted
+export function baselinePosition(sheetDiff, row, col) {
+  const lr = row - sheetDiff.rowBase;
+  const lc = col - sheetDiff.colBase;
+  const br = sheetDiff.rowMap && lr >= 0 && lr < sheetDiff.rowMap.length ? sheetDiff.rowMap[lr] : lr;
+  const bc = sheetDiff.colMap && lc >= 0 && lc < sheetDiff.colMap.length ? sheetDiff.colMap[lc] : lc;
+  if (br < 0 || bc < 0) return null;
+  return { row: sheetDiff.rowBase + br, col: sheetDiff.colBase + bc };
+}
+
+// Move entry of a sheet diff (see moves.js) covering an absolute current cell, or null
+function moveAt(sheetDiff, row, col) {
+  for (const m of sheetDiff.moves || []) {
+    if (row >= m.rect.r1 && row <= m.rect.r2 && col >= m.rect.c1 && col <= m.rect.c2) return m;
+  }
+  return null;
+}
+
+// Array change of a sheet diff (see arrays.js) whose area covers an absolute current cell, or null
+function arrayAt(sheetDiff, row, col) {
+  for (const a of sheetDiff.arrays || []) {
+    if (row >= a.area.r1 && row <= a.area.r2 && col >= a.area.c1 && col <= a.area.c2) return a;
+  }
+  return null;
+}
+
+// Changed cells of a sheet diff within local rows r1..r2 and columns c1..c2, as [r, c, code] in row-major order.
+// A range smaller than the change set (e.g. one cell) is looked up cell by cell, else the change set is walked.
+function* changedCells({ cols, cells }, r1, r2, c1, c2) {
+  if (r2 < r1 || c2 < c1) return;
+  if ((r2 - r1 + 1) * (c2 - c1 + 1) < cells.size) {
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) {
+        const code = cells.get(r * cols + c);
+        if (code) yield [r, c, code];
+      }
+    }
+    return;
+  }
+  for (const [i, code] of cells) {
+    const r = Math.floor(i / cols);
+    const c = i % cols;
+    if (r >= r1 && r <= r2 && c >= c1 && c <= c2) yield [r, c, code];
+  }
+}
+
+// Build a change list over diff.bySheet.
+// - curr, base: the compared models; either may be null (e.g. after a reload), in which case that side's
+//   value/formula/type read as empty
+// - categories: { [code]: category name } for the codes to report (see CHANGE_CATEGORIES in diff.js)
+// Records: { sheet, row, col, address, category, code, baseSheet, baseAddress,
+//   old: { value, formula, type, numberFormat, style }, new: { value, formula, type, numberFormat, style }, move }
+//   with zero-based absolute row/col; numberFormat is null unless captured (and not General) or a date or time format
+//   (see dates.js), style null unless captured (and not plain, see styles.js); move is the sheet's { role, rect, label }
+//   move entry for moved cells, else null; table is the cell's table reference ({ name, column, row, label }, see
+//   tableCellLabel in tables.js) in the current workbook, or in the baseline for cells outside current tables, else
+//   null; comment is the note or comment change of "comment" records (see diffSheetComments in comments.js), else null;
+//   layout is the layout change of "layout" records (see diffSheetLayout in layout.js), else null. Layout records sit at
+//   the top-left cell of their area (A1 for freeze panes, which no range filter matches). array is the spill or array
+//   formula change (see diffSheetArrays in arrays.js) of "array" records, which sit at the anchor cell, and of the
+//   cells it covers, else null; grouped() lists only the array record for those cells.
+export function createChangeList(bySheet, curr, base, categories, filter = {}) {
+  const { sheets = null, codes = null, range = null, predicate = null, grouped = false } = filter;
+
+  let tables = null; // indexed on first use
+  const tableRef = (sheet, row, col, baseSheet, pos) => {
+    if (!tables) tables = { curr: indexTables(curr), base: indexTables(base) };
+    const here = tableCellLabel(tables.curr, sheet, row, col);
+    return here || (pos ? tableCellLabel(tables.base, baseSheet, pos.row, pos.col) : null);
+  };
+
+  const record = (sheet, sheetDiff, row, col, code, entry) => {
+    const pos = entry
+      ? entry.baseAddress && { row: entry.baseRow, col: entry.baseCol }
+      : baselinePosition(sheetDiff, row, col);
+    const baseSheet = sheetDiff.baseName || sheet;
+    return {
+      sheet,
+      row,
+      col,
+      address: cellAddress(row, col),
+      category: categories[code],
+      code,
+      baseSheet,
+      baseAddress: pos ? cellAddress(pos.row, pos.col) : null,
+      old: side(pos ? namedCellAt(base, baseSheet, pos.row, pos.col) : EMPTY_CELL),
+      new: side(namedCellAt(curr, sheet, row, col)),
+      move: sheetDiff.moves ? moveAt(sheetDiff, row, col) : null,
+      table: tableRef(sheet, row, col, baseSheet, pos),
+      comment: entry && categories[code] === "comment" ? entry : null,
+      layout: entry && categories[code] === "layout" ? entry : null,
+      array: entry && categories[code] === "array" ? entry : arrayAt(sheetDiff, row, col),
+    };
+  };
+
+  // Changed cells passing the sheet/category/range filters, as [sheet, sheetDiff, row, col, code, entry]; a
+  // sheet's array changes, then its comment and layout changes, follow its grid cells (entry is their arrays.js,
+  // comments.js or layout.js entry). Grouped lists leave out grid cells an array change covers.
+  function* positions() {
+    const codeOf = (name) => Number(Object.keys(categories).find((k) => categories[k] === name));
+    const commentCode = codeOf("comment");
+    const layoutCode = codeOf("layout");
+    const arrayCode = codeOf("array");
+    const foldArrays = grouped && arrayCode && (!codes || codes.has(arrayCode));
+    for (const [sheet, sheetDiff] of Object.entries(bySheet || {})) {
+      if (sheets && !sheets.has(sheet)) continue;
+      const { rows, cols, rowBase, colBase } = sheetDiff;
+      const r1 = range ? Math.max(0, range.r1 - rowBase) : 0;
+      const r2 = range ? Math.min(rows - 1, range.r2 - rowBase) : rows - 1;
+      const c1 = range ? Math.max(0, range.c1 - colBase) : 0;
+      const c2 = range ? Math.min(cols - 1, range.c2 - colBase) : cols - 1;
+      for (const [r, c, code] of changedCells(sheetDiff, r1, r2, c1, c2)) {
+        if (!(code in categories) || (codes && !codes.has(code))) continue;
+        if (foldArrays && sheetDiff.arrays && arrayAt(sheetDiff, rowBase + r, colBase + c)) continue;
+        yield [sheet, sheetDiff, rowBase + r, colBase + c, code];
+      }
+      if (arrayCode && (!codes || codes.has(arrayCode))) {
+        for (const entry of sheetDiff.arrays || []) {
+          // An array change matches a range its area overlaps
+          const { area } = entry;
+          if (range && (area.r2 < range.r1 || area.r1 > range.r2 || area.c2 < range.c1 || area.c1 > range.c2)) continue;
+          yield [sheet, sheetDiff, entry.row, entry.col, arrayCode, entry];
+        }
+      }
+      if (commentCode && (!codes || codes.has(commentCode))) {
+        for (const entry of sheetDiff.comments || []) {
+          const { row, col } = entry;
+          if (range && (row < range.r1 || row > range.r2 || col < range.c1 || col > range.c2)) continue;
+          yield [sheet, sheetDiff, row, col, commentCode, entry];
+        }
+      }
+      if (!layoutCode || (codes && !codes.has(layoutCode))) continue;
+      for (const entry of sheetDiff.layout || []) {
+        // A layout change matches a range it overlaps
+        const { rect } = entry;
+        if (range && (!rect || rect.r2 < range.r1 || rect.r1 > range.r2 || rect.c2 < range.c1 || rect.c1 > range.c2)) {
+          continue;
+        }
+        yield [sheet, sheetDiff, entry.row, entry.col, layoutCode, entry];
+      }
+    }
+  }
+
+  function* iterate() {
+    for (const [sheet, sheetDiff, row, col, code, entry] of positions()) {
+      const rec = record(sheet, sheetDiff, row, col, code, entry);
+      if (!predicate || predicate(rec)) yield rec;
+    }
+  }
+
+  const narrow = (extra) => createChangeList(bySheet, curr, base, categories, { ...filter, ...extra });
+  const codesFor = (names) => {
+    const wanted = new Set(Array.isArray(names) ? names : [names]);
+    return new Set(
+      Object.entries(categories)
+        .filter(([code, name]) => wanted.has(name) && (!codes || codes.has(Number(code))))
+        .map(([code]) => Number(code))
+    );
+  };
+
+  const list = {
+    [Symbol.iterator]: iterate,
+    // Number of records (walks the change sets; values are not read unless a predicate needs them)
+    count() {
+      let n = 0;
+      const it = predicate ? iterate() : positions();
+      while (!it.next().done) n++;
+      return n;
+    },
+    // Records [offset, offset + limit) in sheet order, row-major within a sheet (array, comment, then layout changes
+    // last)
+    page(offset = 0, limit = 100) {
+      const out = [];
+      let i = 0;
+      for (const rec of iterate()) {
+        if (i++ < offset) continue;
+        if (out.length >= limit) break;
+        out.push(rec);
+      }
+      return out;
+    },
+    toArray() {
+      return Array.from(iterate());
+    },
+    // Record for one absolute current cell (its cell change before its array, comment and layout changes, e.g. a
+    // merged area it lies in), or null when it did not change
+    at(sheet, row, col) {
+      return list.forSheet(sheet).inRange({ r1: row, c1: col }).page(0, 1)[0] || null;
+    },
+    forSheet(names) {
+      const wanted = Array.isArray(names) ? names : [names];
+      return narrow({ sheets: new Set(sheets ? wanted.filter((n) => sheets.has(n)) : wanted) });
+    },
+    forCategory(names) {
+      return narrow({ codes: codesFor(names) });
+    },
+    // range: A1 text ("B2:D10", optionally sheet-qualified, which also narrows to that sheet) or { r1, c1, r2, c2 }
+    inRange(rangeSpec) {
+      const rect = parseRange(rangeSpec);
+      if (!rect) throw new Error(`Invalid range: ${rangeSpec}`);
+      const clipped = range
+        ? {
+            r1: Math.max(range.r1, rect.r1),
+            c1: Math.max(range.c1, rect.c1),
+            r2: Math.min(range.r2, rect.r2),
+            c2: Math.min(range.c2, rect.c2),
+          }
+        : rect;
+      const text = typeof rangeSpec === "string" ? rangeSpec : "";
+      const bang = text.lastIndexOf("!");
+      const narrowed = narrow({ range: clipped });
+      return bang > 0 ? narrowed.forSheet(text.slice(0, bang).replace(/^'|'$/g, "").replace(/''/g, "'")) : narrowed;
+    },
+    // The same changes with the cells of each changed spill or array formula folded into its "array" record
+    grouped() {
+      return narrow({ grouped: true });
+    },
+    filter(fn) {
+      return narrow({ predicate: predicate ? (rec) => predicate(rec) && fn(rec) : fn });
+    },
+  };
+  return list;
+}
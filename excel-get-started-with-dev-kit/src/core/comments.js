@@ -0,0 +1,126 @@
+// Notes (legacy comments) and threaded comments: their diff and change text.
+// Model sheets carry them as `comments`: [{ address, kind: "note" | "comment", author, text, resolved, replies }]
+// with address the cell ("B4"), replies [{ author, text }] (threaded comments only) and resolved true/false for
+// threaded comments read from the live workbook, else null. Models list the kinds they captured as
+// `commentKinds`; older models have neither.
+import { baselinePosition } from "./changes";
+import { cellAddress, parseRange } from "./cells";
+
+// Kinds both models captured, or null when either captured none
+export function commonCommentKinds(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return null;
+  const kinds = a.filter((k) => b.includes(k));
+  return kinds.length ? kinds : null;
+}
+
+function repliesText(c) {
+  return JSON.stringify((c.replies || []).map((r) => [r.author || "", r.text || ""]));
+}
+
+// How comment a (current) differs from b (baseline): "edited" (text or author), "replied" (replies only),
+// "resolved" / "reopened" (resolved state only, when both sides know it), or null when unchanged
+function commentChange(a, b) {
+  if ((a.text || "") !== (b.text || "") || (a.author || "") !== (b.author || "")) return "edited";
+  if (repliesText(a) !== repliesText(b)) return "replied";
+  if (typeof a.resolved === "boolean" && typeof b.resolved === "boolean" && a.resolved !== b.resolved) {
+    return a.resolved ? "resolved" : "reopened";
+  }
+  return null;
+}
+
+// Inverse of baselinePosition for one axis: local current index of a local baseline index (-1 when deleted)
+function currentIndex(map, local) {
+  if (!map || local < 0 || local >= map.length) return local;
+  return map.indexOf(local);
+}
+
+// Comment changes of one sheet pair, in the sheet diff's alignment: notes and comments pair by kind at the aligned
+// cell. Returns [{ row, col, address, baseRow, baseCol, baseAddress, kind, change, old, new }] with zero-based
+// absolute coordinates, change "added" | "removed" | "edited" | "replied" | "resolved" | "reopened", and old/new
+// the comments (null on the side without one). A removed comment whose row or column was deleted keeps its
+// baseline position. kinds: the comment kinds to compare (see commonCommentKinds).
+export function diffSheetComments(currSheet, baseSheet, sheetDiff, kinds) {
+  const wanted = (c) => kinds.includes(c.kind) && parseRange(c.address);
+  const key = (kind, row, col) => `${kind}:${row}:${col}`;
+  const baseByCell = new Map();
+  for (const c of (baseSheet.comments || []).filter(wanted)) {
+    const { r1, c1 } = parseRange(c.address);
+    baseByCell.set(key(c.kind, r1, c1), c);
+  }
+  const out = [];
+  for (const c of (currSheet.comments || []).filter(wanted)) {
+    const { r1: row, c1: col } = parseRange(c.address);
+    const pos = baselinePosition(sheetDiff, row, col);
+    const k = pos ? key(c.kind, pos.row, pos.col) : null;
+    const prev = k ? baseByCell.get(k) : null;
+    if (prev) baseByCell.delete(k);
+    const change = prev ? commentChange(c, prev) : "added";
+    if (!change) continue;
+    out.push({
+      row,
+      col,
+      address: cellAddress(row, col),
+      baseRow: pos ? pos.row : null,
+      baseCol: pos ? pos.col : null,
+      baseAddress: pos ? cellAddress(pos.row, pos.col) : null,
+      kind: c.kind,
+      change,
+      old: prev || null,
+      new: c,
+    });
+  }
+  for (const c of baseByCell.values()) {
+    const { r1: baseRow, c1: baseCol } = parseRange(c.address);
+    const r = currentIndex(sheetDiff.rowMap, baseRow - sheetDiff.rowBase);
+    const k = currentIndex(sheetDiff.colMap, baseCol - sheetDiff.colBase);
+    const row = r < 0 ? baseRow : sheetDiff.rowBase + r;
+    const col = k < 0 ? baseCol : sheetDiff.colBase + k;
+    out.push({
+      row,
+      col,
+      address: cellAddress(row, col),
+      baseRow,
+      baseCol,
+      baseAddress: cellAddress(baseRow, baseCol),
+      kind: c.kind,
+      change: "removed",
+      old: c,
+      new: null,
+    });
+  }
+  return out.sort((x, y) => x.row - y.row || x.col - y.col);
+}
+
+function quoted(text) {
+  const t = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return `"${t.length > 80 ? `${t.slice(0, 77)}...` : t}"`;
+}
+
+function byAuthor(c) {
+  return c && c.author ? ` by ${c.author}` : "";
+}
+
+// Human-readable comment change, e.g. 'comment by Ann edited: "Check Q3" → "Check Q3 and Q4"'
+export function describeCommentChange(entry) {
+  const label = entry.kind === "note" ? "note" : "comment";
+  const c = entry.new || entry.old;
+  switch (entry.change) {
+    case "added":
+      return `${label}${byAuthor(c)} added: ${quoted(c.text)}`;
+    case "removed":
+      return `${label}${byAuthor(c)} removed (was ${quoted(c.text)})`;
+    case "edited":
+      return `${label}${byAuthor(entry.new)} edited: ${quoted(entry.old.text)} → ${quoted(entry.new.text)}`;
+    case "replied": {
+      const replies = entry.new.replies || [];
+      const last = replies[replies.length - 1];
+      const reply = last ? `, latest${byAuthor(last)}: ${quoted(last.text)}` : "";
+      const count = `${(entry.old.replies || []).length} → ${replies.length}`;
+      return `${label}${byAuthor(c)}: replies changed (${count}${reply})`;
+    }
+    default:
+      return `${label}${byAuthor(c)} ${entry.change}: ${quoted(c.text)}`;
+  }
+}
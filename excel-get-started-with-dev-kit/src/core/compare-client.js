@@ -0,0 +1,112 @@
+/* global Worker, URL */
+// Task pane side of compare-worker.js: promise-based parse and diff calls with progress and cancellation.
+// Falls back to running on the calling thread where workers are unavailable.
+import { parseXlsxToModel } from "./import-xlsx";
+import { parseCsvToModel } from "./import-csv";
+import { diffWorkbooks, CHANGE_CATEGORIES } from "./diff";
+import { createChangeList } from "./changes";
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+function abortError() {
+  const e = new Error("Cancelled");
+  e.name = "AbortError";
+  return e;
+}
+
+// True for the rejection of a cancelled call
+export function isCancelled(e) {
+  return Boolean(e && e.name === "AbortError");
+}
+
+// Throw the rejection of a cancelled call once signal (an AbortSignal, or null) has been aborted; for work that runs
+// on the task pane's thread, such as workbook capture, to stop between steps
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError();
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./compare-worker.js", import.meta.url));
+  worker.onmessage = (event) => {
+    const { id, type } = event.data || {};
+    const job = pending.get(id);
+    if (!job) return;
+    if (type === "progress") {
+      if (job.onProgress) job.onProgress(event.data.progress);
+      return;
+    }
+    pending.delete(id);
+    if (type === "result") job.resolve(event.data.result);
+    else job.reject(new Error(event.data.message || "Worker failed"));
+  };
+  worker.onerror = (event) => {
+    const e = new Error((event && event.message) || "Worker failed");
+    stopWorker(e);
+  };
+  return worker;
+}
+
+// Terminate the worker (aborting whatever it is running) and reject its pending calls
+function stopWorker(reason) {
+  if (worker) worker.terminate();
+  worker = null;
+  for (const job of pending.values()) job.reject(reason);
+  pending.clear();
+}
+
+function run(message, transfer, { onProgress = null, signal = null } = {}) {
+  if (signal && signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    if (signal) {
+      // A synchronous parse or diff cannot be interrupted from inside; terminating the worker is the clean stop
+      const onAbort = () => {
+        if (pending.has(id)) stopWorker(abortError());
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    getWorker().postMessage({ id, ...message }, transfer);
+  });
+}
+
+// Parse a workbook ArrayBuffer (.xlsx, .xlsb, .xls, .ods) into a WorkbookModel (see parseXlsxToModel). The buffer
+// is transferred to the worker and unusable afterwards.
+// Options: parseXlsxToModel options (includeHidden, includeNumberFormats, includeStyles, includeLayout,
+// overlayColors), onProgress({ phase, sheet, done, total }) per sheet, and signal: AbortSignal that cancels the parse
+export async function parseXlsxAsync(arrayBuffer, options = {}) {
+  const { onProgress = null, signal = null, ...parseOptions } = options;
+  if (typeof Worker === "undefined") {
+    throwIfAborted(signal);
+    return parseXlsxToModel(arrayBuffer, { ...parseOptions, onProgress });
+  }
+  return run({ type: "parse", buffer: arrayBuffer, options: parseOptions }, [arrayBuffer], { onProgress, signal });
+}
+
+// Parse CSV/TSV files into one WorkbookModel (see parseCsvToModel). files: [{ buffer, name, sheet, anchor }]; the
+// buffers are transferred to the worker and unusable afterwards.
+// Options: parseCsvToModel options (dateOrder), onProgress per file, and signal: AbortSignal that cancels the parse
+export async function parseCsvAsync(files, options = {}) {
+  const { onProgress = null, signal = null, ...parseOptions } = options;
+  if (typeof Worker === "undefined") {
+    throwIfAborted(signal);
+    return parseCsvToModel(files, { ...parseOptions, onProgress });
+  }
+  const buffers = files.map((f) => f.buffer);
+  return run({ type: "parseCsv", files, options: parseOptions }, buffers, { onProgress, signal });
+}
+
+// Diff two models (see diffWorkbooks); resolves to the same result shape, including the change list.
+// Options: diffWorkbooks options plus onProgress per compared sheet and signal to cancel
+export async function diffWorkbooksAsync(curr, base, options = {}) {
+  const { onProgress = null, signal = null, ...diffOptions } = options;
+  if (typeof Worker === "undefined") {
+    throwIfAborted(signal);
+    return diffWorkbooks(curr, base, { ...diffOptions, onProgress });
+  }
+  const diff = await run({ type: "diff", curr, base, options: diffOptions }, [], { onProgress, signal });
+  return { ...diff, changes: createChangeList(diff.bySheet, curr, base, CHANGE_CATEGORIES) };
+}
@@ -0,0 +1,72 @@
+// Comparison options for the diff engine: numeric tolerance, case, whitespace, formula/literal swaps, formats.
+import { normalizeText, TEXT_LEVELS } from "./cells";
+
+// Defaults reproduce the original hardcoded behavior
+export const DEFAULT_COMPARE_OPTIONS = {
+  // Numbers within either tolerance compare equal (|a - b| <= abs, or <= rel * max(|a|, |b|))
+  absTolerance: 0,
+  relTolerance: 0,
+  caseSensitive: true,
+  // Text normalization level, see TEXT_LEVELS in cells.js
+  whitespace: "full",
+  // When true, a formula replaced by a literal (or vice versa) is a change even if the value matches
+  formulaLiteralSwap: false,
+  // When true, cells whose content matches but whose number format differs ("0.00%" -> "0.00") are reported;
+  // needs both models captured with number formats
+  numberFormats: false,
+  // When true, cells whose content matches but whose font, fill, borders or alignment differ are reported; needs
+  // both models captured with styles, and compares only what both captured (see styles.js)
+  styles: false,
+  // When true, merged areas, hidden rows and columns, and freeze panes are compared; needs both models captured
+  // with layout (see layout.js)
+  layout: false,
+};
+
+function nonNegative(x, fallback) {
+  const n = Number(x);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Pick and validate the comparison keys from a diff options object; unknown or invalid values fall back
+// to the defaults.
+export function normalizeCompareOptions(options = {}) {
+  const d = DEFAULT_COMPARE_OPTIONS;
+  return {
+    absTolerance: nonNegative(options.absTolerance, d.absTolerance),
+    relTolerance: nonNegative(options.relTolerance, d.relTolerance),
+    caseSensitive: typeof options.caseSensitive === "boolean" ? options.caseSensitive : d.caseSensitive,
+    whitespace: TEXT_LEVELS.includes(options.whitespace) ? options.whitespace : d.whitespace,
+    formulaLiteralSwap:
+      typeof options.formulaLiteralSwap === "boolean" ? options.formulaLiteralSwap : d.formulaLiteralSwap,
+    numberFormats: typeof options.numberFormats === "boolean" ? options.numberFormats : d.numberFormats,
+    styles: typeof options.styles === "boolean" ? options.styles : d.styles,
+    layout: typeof options.layout === "boolean" ? options.layout : d.layout,
+  };
+}
+
+// Text as compared under the options (normalization level, then case folding)
+export function compareText(text, opts) {
+  const t = normalizeText(text, opts.whitespace);
+  return opts.caseSensitive ? t : t.toLowerCase();
+}
+
+// Number format codes compare as written; a missing format is "General"
+export function numberFormatsEqual(a, b) {
+  const norm = (x) => (typeof x === "string" && x.trim() ? x.trim() : "General");
+  return norm(a) === norm(b);
+}
+
+// Value equality under the options; objects (e.g. dates from uploads) compare by their string form
+export function valuesEqual(a, b, opts) {
+  if (typeof a === "object" && a !== null && typeof a.toString === "function") a = a.toString();
+  if (typeof b === "object" && b !== null && typeof b.toString === "function") b = b.toString();
+  if (typeof a === "number" && typeof b === "number") {
+    if (a === b) return true;
+    const delta = Math.abs(a - b);
+    if (delta <= opts.absTolerance) return true;
+    return delta <= opts.relTolerance * Math.max(Math.abs(a), Math.abs(b));
+  }
+  const av = typeof a === "string" ? compareText(a, opts) : a;
+  const bv = typeof b === "string" ? compareText(b, opts) : b;
+  return av === bv;
+}
@@ -0,0 +1,43 @@
+/* global self */
+// Worker entry: parses uploaded workbooks and diffs models off the task pane's UI thread.
+// Messages in: { id, type: "parse", buffer, options } | { id, type: "parseCsv", files, options } |
+// { id, type: "diff", curr, base, options }
+// Messages out: { id, type: "progress", progress } then { id, type: "result", result } or { id, type: "error", message }
+import { parseXlsxToModel } from "./import-xlsx";
+import { parseCsvToModel } from "./import-csv";
+import { diffWorkbooks } from "./diff";
+
+// Typed-array buffers of a diff result (row/column maps), handed over instead of copied
+function diffTransferables(diff) {
+  const buffers = new Set();
+  for (const s of Object.values(diff.bySheet)) {
+    for (const arr of [s.rowMap, s.colMap]) {
+      if (ArrayBuffer.isView(arr) && arr.byteLength === arr.buffer.byteLength) buffers.add(arr.buffer);
+    }
+  }
+  return Array.from(buffers);
+}
+
+self.onmessage = (event) => {
+  const { id, type } = event.data || {};
+  const onProgress = (progress) => self.postMessage({ id, type: "progress", progress });
+  try {
+    if (type === "parse") {
+      const model = parseXlsxToModel(event.data.buffer, { ...event.data.options, onProgress });
+      self.postMessage({ id, type: "result", result: model });
+    } else if (type === "parseCsv") {
+      const model = parseCsvToModel(event.data.files, { ...event.data.options, onProgress });
+      self.postMessage({ id, type: "result", result: model });
+    } else if (type === "diff") {
+      const { curr, base, options } = event.data;
+      const diff = diffWorkbooks(curr, base, { ...options, onProgress });
+      // The change list holds closures over both models; the client rebuilds it on its side
+      delete diff.changes;
+      self.postMessage({ id, type: "result", result: diff }, diffTransferables(diff));
+    } else {
+      throw new Error(`Unknown request: ${type}`);
+    }
+  } catch (e) {
+    self.postMessage({ id, type: "error", message: String(e && e.message ? e.message : e) });
+  }
+};
@@ -0,0 +1,104 @@
+// Dates and times in models: both model builders keep them as serials of the 1900 date system (Excel's default),
+// with the cell's date or time number format kept as a hint (cell nf, also when number formats are not captured)
+// so they can be shown as dates. Uploads read JS Dates from SheetJS and live 1904-system workbooks report 1904
+// serials; normalizeDateValue converts both. model.date1904 records the date system the source workbook uses.
+
+// Days between the 1900 and 1904 date systems' day zero
+export const DATE_1904_OFFSET = 1462;
+
+const DAY_MS = 86400000;
+const EPOCH = Date.UTC(1899, 11, 30);
+
+// Excel serial of a calendar date plus a fraction of a day, or null when the date does not exist. Serials before
+// March 1900 count Excel's fictitious 1900-02-29.
+export function dateSerial(year, month, day, fraction = 0) {
+  if (year < 1900 || year > 9999 || month < 1 || month > 12 || day < 1) return null;
+  const time = Date.UTC(year, month - 1, day);
+  const check = new Date(time);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  const serial = (time - EPOCH) / DAY_MS;
+  return (serial < 61 ? serial - 1 : serial) + fraction;
+}
+
+// Serial a JS Date read by SheetJS stands for: SheetJS counts days from 1899-12-30 in local time, in the file's
+// own date system
+function serialOfDate(date) {
+  const local = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  );
+  return (local - EPOCH) / DAY_MS;
+}
+
+// "date" for a number format showing a date (with or without a time), "time" for time-only and elapsed-time
+// formats ("h:mm", "[h]:mm:ss"), null otherwise. Only the first (positive) section is read; quoted text, escaped
+// characters, colors, locales, conditions and exponents are ignored.
+export function dateFormatKind(nf) {
+  if (typeof nf !== "string" || !nf || nf === "General") return null;
+  const section = nf
+    .split(";")[0]
+    .replace(/"[^"]*"/g, "")
+    .replace(/\\./g, "")
+    .replace(/\[(?![hms]+\])[^\]]*\]/gi, "")
+    .replace(/E[+-]/gi, "");
+  if (/[yde]/i.test(section)) return "date";
+  if (/[hs]/i.test(section) || /\[m+\]/i.test(section)) return "time";
+  return /m/i.test(section) && !/[0#?]/.test(section) ? "date" : null;
+}
+
+// The number format to keep as a date hint when number formats are not captured: nf for dates and times, else null
+export function dateHint(nf) {
+  return dateFormatKind(nf) ? nf : null;
+}
+
+// Value of a cell in the models' date convention. JS Dates (uploads) become serials; date serials of a 1904-system
+// workbook (date1904) move to the 1900 system, while time-only values read the same in both systems. Values that
+// are neither Dates nor date-formatted numbers are returned as they are; nf is the cell's number format.
+export function normalizeDateValue(value, nf, date1904 = false) {
+  const isDate = value instanceof Date;
+  if (!isDate && typeof value !== "number") return value;
+  const kind = dateFormatKind(nf) || (isDate ? "date" : null);
+  if (!kind) return value;
+  let serial = value;
+  if (isDate) {
+    serial = serialOfDate(value);
+    if (!Number.isFinite(serial)) return null;
+    serial = Math.round(serial * DAY_MS) / DAY_MS;
+  }
+  return date1904 && kind === "date" ? serial + DATE_1904_OFFSET : serial;
+}
+
+// Inverse of normalizeDateValue for writing a model value into a workbook using the date1904 system
+export function workbookDateValue(value, nf, date1904 = false) {
+  if (!date1904 || typeof value !== "number" || dateFormatKind(nf) !== "date") return value;
+  return value - DATE_1904_OFFSET;
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+// Text of a date or time serial under a date or time format ("2024-01-15", "2024-01-15 13:30", "13:30:05"), or null
+// when nf is not a date or time format
+export function formatDateSerial(serial, nf) {
+  const kind = dateFormatKind(nf);
+  if (!kind || typeof serial !== "number" || !Number.isFinite(serial)) return null;
+  const total = Math.round(serial * 86400); // whole seconds, so 23:59:59.6 rounds into the next day
+  const days = Math.floor(total / 86400);
+  const seconds = total - days * 86400;
+  const s = seconds % 60;
+  const minutes = `${pad(Math.floor(seconds / 60) % 60)}${s ? `:${pad(s)}` : ""}`;
+  // Elapsed times past a day count hours on ("26:30")
+  if (kind === "time") return `${pad(Math.floor(seconds / 3600) + (serial >= 1 ? days * 24 : 0))}:${minutes}`;
+  let date = "1900-02-29";
+  if (days !== 60) {
+    const d = new Date(EPOCH + (days < 60 ? days + 1 : days) * DAY_MS);
+    date = `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  }
+  return seconds ? `${date} ${pad(Math.floor(seconds / 3600))}:${minutes}` : date;
+}
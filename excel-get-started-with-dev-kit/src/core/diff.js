@@ -1,4 +1,20 @@
 // Diff two WorkbookModels (current vs baseline) and return per-sheet diffs and counts.
+import { alignSequences, hashString } from "./align";
+import { matchRecords, formatRecordKey, keyAt } from "./records";
+import { isBlankCell, getCell, cellKey, columnLetter } from "./cells";
+import { normalizeCompareOptions, valuesEqual, numberFormatsEqual } from "./compare-options";
+import { matchSheets } from "./sheet-match";
+import { formulaSkeleton } from "./r1c1";
+import { createChangeList } from "./changes";
+import { forEachCell } from "./sparse";
+import { detectMoves } from "./moves";
+import { diffWorkbookMeta, isHiddenSheet } from "./workbook-meta";
+import { commonStyleGroups, styleChanges } from "./styles";
+import { diffTables } from "./tables";
+import { diffRules } from "./rules";
+import { commonCommentKinds, diffSheetComments } from "./comments";
+import { diffSheetLayout } from "./layout";
+import { commonArrayKinds, diffSheetArrays } from "./arrays";
 
 const CODE_NONE = 0;
 const CODE_ADD = 1; // green
@@ -7,55 +23,81 @@ const CODE_REMOVE = 2; // red
 // CODE_FORMULA: explicit change — formula text changed OR hardcoded literal changed
 const CODE_VALUE = 3; // yellow (calculated value-only)
 const CODE_FORMULA = 4; // orange (formula text or literal change)
+// CODE_REF_SHIFT: same formula logic pointing at different cells ("=A1*2" -> "=B1*2", SUM(B1:B10) -> SUM(B1:B12))
+const CODE_REF_SHIFT = 5; // peach (reference shifted only)
+// Error and data-type transitions outrank the codes above: they are what breaks downstream formulas
+const CODE_ERROR = 6; // bright red (value became an error, e.g. 1250 -> #REF!)
+const CODE_ERROR_FIXED = 7; // teal (error resolved)
+const CODE_TYPE = 8; // blue (number <-> text <-> boolean)
+// CODE_MOVED: added cells whose content left another block (same or other sheet), and the cells it left (moves.js)
+const CODE_MOVED = 9; // lavender
+// CODE_NUMBER_FORMAT: same content, different number format ("0.00%" -> "0.00"); only with opts.numberFormats
+const CODE_NUMBER_FORMAT = 10; // pink
+// CODE_STYLE: same content and number format, different font, fill, borders or alignment; only with opts.styles.
+// Not drawn as an overlay (overlays are fills themselves); listed and shown in the callout instead
+const CODE_STYLE = 11;
+// CODE_COMMENT: a note or threaded comment added, edited, replied to, resolved or removed. Comments can sit on
+// blank cells and beside any other change, so they are kept in sheetDiff.comments rather than the code grid,
+// and drawn as an outline rather than a fill
+const CODE_COMMENT = 12;
+// CODE_LAYOUT: merged areas, hidden rows or columns, or freeze panes changed; only with opts.layout. Like comments,
+// kept in sheetDiff.layout rather than the code grid, and listed rather than drawn
+const CODE_LAYOUT = 13;
+// CODE_ARRAY: a dynamic array spill or legacy array formula added, removed or resized, its anchor formula changed,
+// or its cells changed. Kept in sheetDiff.arrays as one change per array; the cells it covers stay in the code grid
+// and are grouped under it in change lists (see changes.js)
+const CODE_ARRAY = 14;
+
+// Change record category per code (see changes.js)
+export const CHANGE_CATEGORIES = {
+  [CODE_ADD]: "added",
+  [CODE_REMOVE]: "removed",
+  [CODE_VALUE]: "value",
+  [CODE_FORMULA]: "formula",
+  [CODE_REF_SHIFT]: "refShift",
+  [CODE_ERROR]: "error",
+  [CODE_ERROR_FIXED]: "errorResolved",
+  [CODE_TYPE]: "typeChanged",
+  [CODE_MOVED]: "moved",
+  [CODE_NUMBER_FORMAT]: "numberFormat",
+  [CODE_STYLE]: "style",
+  [CODE_COMMENT]: "comment",
+  [CODE_LAYOUT]: "layout",
+  [CODE_ARRAY]: "array",
+};
+
+// Per-sheet counts key per code
+const COUNT_KEYS = {
+  [CODE_ADD]: "add",
+  [CODE_REMOVE]: "remove",
+  [CODE_VALUE]: "value",
+  [CODE_FORMULA]: "formula",
+  [CODE_REF_SHIFT]: "refShift",
+  [CODE_ERROR]: "errors",
+  [CODE_ERROR_FIXED]: "errorsResolved",
+  [CODE_TYPE]: "typeChanged",
+  [CODE_MOVED]: "moved",
+  [CODE_NUMBER_FORMAT]: "numberFormat",
+  [CODE_STYLE]: "style",
+};
+
+// Value kind for type-change detection, from the Excel value type (model.js) or normalizeType (import-xlsx.js);
+// null when unknown
+function valueKind(t) {
+  if (t === "Double" || t === "Integer") return "number";
+  if (t === "String") return "text";
+  if (t === "Boolean") return "boolean";
+  return null;
+}
 
 function normFormula(f) {
   if (typeof f !== "string") return "";
   return f.trim().toUpperCase();
 }
 
-// Normalize text to handle differences between uploaded files and snapshots
-// This handles invisible Unicode differences that look identical in Excel
-function normalizeText(text) {
-  if (typeof text !== "string") return text;
-  
-  return text
-    .trim() // Remove leading/trailing whitespace
-    // Normalize Unicode to NFC form (combines characters consistently)
-    .normalize('NFC')
-    // Replace various Unicode whitespace with regular spaces
-    .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
-    // Replace zero-width characters
-    .replace(/[\u200B-\u200D\uFEFF]/g, '')
-    // Normalize newlines to spaces (Excel often stores these as spaces)
-    .replace(/[\r\n]+/g, ' ')
-    // Collapse multiple spaces to single space
-    .replace(/\s+/g, ' ')
-    // Normalize quotes (smart quotes to straight quotes)
-    .replace(/[\u2018\u2019]/g, "'")
-    .replace(/[\u201C\u201D]/g, '"')
-    .trim(); // Final trim in case normalization added spaces
-}
-
-function isBlankCell(cell) {
-  // cell: { v, f, t }
-  const hasFormula = typeof cell.f === "string" && cell.f.startsWith("=");
-  if (hasFormula) return false;
-  if (cell.v === null || cell.v === "") return true;
-  if (cell.t === "Empty") return true;
-  return false;
-}
-
-function getCell(model, sidx, r, c) {
-  const sh = model.sheets[sidx];
-  if (!sh) return { v: null, f: null, t: "Empty" };
-  if (r >= sh.rowCount || c >= sh.columnCount) return { v: null, f: null, t: "Empty" };
-  const v = sh.values[r] && sh.values[r][c] !== undefined ? sh.values[r][c] : null;
-  const f = (sh.formulas[r] && sh.formulas[r][c]) || null;
-  const t = (sh.valueTypes[r] && sh.valueTypes[r][c]) || "Empty";
-  return { v, f, t };
-}
-
-function classifyCell(a, b) {
+// Change code of cell a (current) against cell b (baseline).
+// opts: normalized comparison options (see compare-options.js)
+export function classifyCell(a, b, opts) {
   const aBlank = isBlankCell(a);
   const bBlank = isBlankCell(b);
   if (!aBlank && bBlank) return CODE_ADD;
@@ -63,6 +105,13 @@ function classifyCell(a, b) {
   if (aBlank && bBlank) return CODE_NONE;
 
   // Both have something
+  const aError = a.t === "Error";
+  const bError = b.t === "Error";
+  if (aError && !bError) return CODE_ERROR;
+  if (!aError && bError) return CODE_ERROR_FIXED;
+  const aKind = valueKind(a.t);
+  const bKind = valueKind(b.t);
+  if (aKind && bKind && aKind !== bKind) return CODE_TYPE;
   const af = normFormula(a.f);
   const bf = normFormula(b.f);
   if (af !== bf) {
@@ -70,111 +119,570 @@ function classifyCell(a, b) {
     // Check if the formula result equals the literal value
     if ((af !== "" && bf === "") || (af === "" && bf !== "")) {
       // One side has formula, other side has no formula
-      // We'll let this fall through to value comparison instead of treating as formula change
-    } else {
-      return CODE_FORMULA; // any formula text difference (including one side no formula)
+      // Unless swaps are configured to count, let this fall through to value comparison
+      if (opts.formulaLiteralSwap) return CODE_FORMULA;
+    } else if (normFormula(a.r1c1) !== normFormula(b.r1c1)) {
+      // Not the same relative formula either; a change in references alone is reported separately
+      return formulaSkeleton(af) === formulaSkeleton(bf) ? CODE_REF_SHIFT : CODE_FORMULA;
     }
+    // Same relative R1C1 formula (e.g. "=A1*2" that moved down with an inserted row): equivalent
+  }
+  // Same formula text; compare values (tolerance, case and text normalization per options)
+  if (valuesEqual(a.v, b.v, opts)) {
+    if (opts.numberFormats && !numberFormatsEqual(a.nf, b.nf)) return CODE_NUMBER_FORMAT;
+    return opts.styleGroups && styleChanges(a.style, b.style, opts.styleGroups).length ? CODE_STYLE : CODE_NONE;
   }
-  // Same formula text; compare values
-  // Handle case where one side is string and other is object with string value
-  let aValue = a.v;
-  let bValue = b.v;
-  
-  // Convert objects to strings if they contain string data
-  if (typeof aValue === "object" && aValue !== null && typeof aValue.toString === "function") {
-    aValue = aValue.toString();
-  }
-  if (typeof bValue === "object" && bValue !== null && typeof bValue.toString === "function") {
-    bValue = bValue.toString();
-  }
-  
-  // Normalize strings to handle Unicode differences between uploaded files and snapshots
-  const av = typeof aValue === "string" ? normalizeText(aValue) : aValue;
-  const bv = typeof bValue === "string" ? normalizeText(bValue) : bValue;
-  
-  if (av === bv) return CODE_NONE;
   // If both are literals (no formula), treat as explicit change (orange)
   if (af === "" /* and bf === "" by equality above */) return CODE_FORMULA;
   // Otherwise, same non-empty formula: calculated value-only change (yellow)
   return CODE_VALUE;
 }
 
-export function diffWorkbooks(curr, base) {
-  const byNameCurr = new Map(curr.sheets.map((s, i) => [s.name, i]));
-  const byNameBase = new Map(base.sheets.map((s, i) => [s.name, i]));
+// Local (box-relative) cell reader for one side of a sheet pair
+function sheetReader(model, sidx, baseRow, baseCol) {
+  const sh = model.sheets[sidx];
+  const rowOff = Math.max(0, sh.rowOffset || 0);
+  const colOff = Math.max(0, sh.colOffset || 0);
+  const rows = Math.max(0, sh.rowCount || 0);
+  const cols = Math.max(0, sh.columnCount || 0);
+  return (r, c) => {
+    const lr = r + baseRow - rowOff;
+    const lc = c + baseCol - colOff;
+    if (lr < 0 || lc < 0 || lr >= rows || lc >= cols) return { v: null, f: null, t: "Empty" };
+    return getCell(model, sidx, lr, lc);
+  };
+}
+
+// Alignment keys of one side over the pair's box: a Map of box-local row-major index -> key holding the
+// non-blank cells only (see records.js), so sparse sheets with a few far-flung cells stay cheap
+function keyGrid(model, sidx, baseRow, baseCol, rows, cols, opts) {
+  const keys = new Map();
+  const sh = model.sheets[sidx];
+  const dr = Math.max(0, sh.rowOffset || 0) - baseRow;
+  const dc = Math.max(0, sh.colOffset || 0) - baseCol;
+  forEachCell(model, sidx, (r, c, cell) => {
+    const lr = r + dr;
+    const lc = c + dc;
+    if (lr < 0 || lc < 0 || lr >= rows || lc >= cols) return;
+    keys.set(lr * cols + lc, cellKey(cell, opts.whitespace, opts.caseSensitive));
+  });
+  return keys;
+}
+
+function pairsOf(aToB) {
+  const pairs = [];
+  for (let i = 0; i < aToB.length; i++) if (aToB[i] >= 0) pairs.push([i, aToB[i]]);
+  return pairs;
+}
+
+function identityPairs(n) {
+  return Array.from({ length: n }, (_, i) => [i, i]);
+}
+
+const NO_POSITIONS = [];
 
-  const allNames = new Set([...curr.sheets.map((s) => s.name), ...base.sheets.map((s) => s.name)]);
+// Positions of the non-empty keys of a grid, per non-blank line: row.get(i) lists the columns of row i, col.get(j)
+// the rows of column j (ascending, as keyGrid fills the grid row by row). Alignment walks these instead of every
+// cell, and blank lines have no entry, so far-flung cells do not cost a line each.
+function lineIndex(keys, cols) {
+  const row = new Map();
+  const col = new Map();
+  const add = (lines, i, p) => {
+    const list = lines.get(i);
+    if (list) list.push(p);
+    else lines.set(i, [p]);
+  };
+  for (const [i, key] of keys) {
+    if (key === "") continue;
+    const r = Math.floor(i / cols);
+    const c = i % cols;
+    add(row, r, c);
+    add(col, c, r);
+  }
+  return { row, col };
+}
+
+// Non-blank positions along line i of an axis ("row" or "col") of a lineIndex
+function linePositions(lines, axis, i) {
+  return lines[axis].get(i) || NO_POSITIONS;
+}
+
+// Multiset of non-blank keys along one line, for order-insensitive similarity
+function lineBag(keys, i, positions, crossIndex, at) {
+  const bag = new Map();
+  let size = 0;
+  for (const p of positions) {
+    if (crossIndex[p] < 0) continue;
+    const key = at(keys, i, p);
+    bag.set(key, (bag.get(key) || 0) + 1);
+    size++;
+  }
+  return { bag, size };
+}
+
+// Align one axis ("row" or "col") of two key grids, comparing lines only across the given cross pairs
+// (matched columns when aligning rows, matched rows when aligning columns).
+// When the cross axis is not aligned yet (unordered), unmatched lines are paired by the overlap of
+// their values regardless of position, so a row insertion does not hide a matching column.
+// linesA/linesB: lineIndex of each grid.
+function alignAxis(keysA, keysB, linesA, linesB, rows, cols, axis, cross, unordered) {
+  const n = axis === "row" ? rows : cols;
+  const at = axis === "row" ? (keys, i, k) => keyAt(keys, i * cols + k) : (keys, i, k) => keyAt(keys, k * cols + i);
+  // Cross position on each side -> index into cross (-1 when unmatched)
+  const crossIndex = [0, 1].map((side) => {
+    const idx = new Int32Array(axis === "row" ? cols : rows).fill(-1);
+    cross.forEach((pair, k) => {
+      idx[pair[side]] = k;
+    });
+    return idx;
+  });
+  // Cross pairs ascend on both sides, so walking a line's non-blank positions visits them in cross order; blank
+  // lines all share the empty signature
+  const blank = hashString("");
+  const sigs = (keys, lines, side) => {
+    const out = new Array(n).fill(blank);
+    for (const [i, positions] of lines[axis]) {
+      let text = "";
+      for (const p of positions) {
+        const k = crossIndex[side][p];
+        if (k >= 0) text += `${k}:${at(keys, i, p)}\u0001`;
+      }
+      out[i] = hashString(text);
+    }
+    return out;
+  };
+  const sigA = sigs(keysA, linesA, 0);
+  const sigB = sigs(keysB, linesB, 1);
+  let similarity;
+  if (unordered) {
+    const bagsA = new Map();
+    const bagsB = new Map();
+    const bagOf = (cache, keys, lines, i, side) => {
+      if (!cache.has(i)) cache.set(i, lineBag(keys, i, linePositions(lines, axis, i), crossIndex[side], at));
+      return cache.get(i);
+    };
+    similarity = (i, j) => {
+      const a = bagOf(bagsA, keysA, linesA, i, 0);
+      const b = bagOf(bagsB, keysB, linesB, j, 1);
+      if (!a.size && !b.size) return 1;
+      let same = 0;
+      for (const [key, count] of a.bag) same += Math.min(count, b.bag.get(key) || 0);
+      return same / Math.max(a.size, b.size);
+    };
+  } else {
+    // Cross pairs where either line is non-blank; pairs blank on both sides do not count
+    similarity = (i, j) => {
+      let same = 0;
+      let used = 0;
+      for (const p of linePositions(linesA, axis, i)) {
+        const k = crossIndex[0][p];
+        if (k < 0) continue;
+        used++;
+        if (at(keysA, i, p) === at(keysB, j, cross[k][1])) same++;
+      }
+      for (const p of linePositions(linesB, axis, j)) {
+        const k = crossIndex[1][p];
+        if (k >= 0 && at(keysA, i, cross[k][0]) === "") used++;
+      }
+      return used ? same / used : 1;
+    };
+  }
+  const { aToB, bToA } = alignSequences(sigA, sigB, similarity, { positionalEqualGaps: !unordered });
+  let exact = 0;
+  for (let i = 0; i < n; i++) if (aToB[i] >= 0 && sigA[i] === sigB[aToB[i]]) exact++;
+  return { aToB, bToA, exact };
+}
+
+// Find inserted/deleted rows and columns between two key grids of the same box size.
+// Rows are aligned first, then columns across the matched rows, then rows again across the matched
+// columns. When few rows match on the first pass (e.g. a column was inserted), columns go first instead.
+function alignGrids(keysA, keysB, linesA, linesB, rows, cols) {
+  const run = (first, second) => {
+    const firstN = first === "row" ? cols : rows;
+    const axis = (name, cross, unordered) =>
+      alignAxis(keysA, keysB, linesA, linesB, rows, cols, name, cross, unordered);
+    const p1 = axis(first, identityPairs(firstN), true);
+    const p2 = axis(second, pairsOf(p1.aToB), false);
+    const p3 = axis(first, pairsOf(p2.aToB), false);
+    const byAxis = { [first]: p3, [second]: p2 };
+    return { row: byAxis.row, col: byAxis.col, firstExact: p1.exact, score: p2.exact + p3.exact };
+  };
+  let best = run("row", "col");
+  if (rows && best.firstExact < rows / 2) {
+    const alt = run("col", "row");
+    if (alt.score > best.score) best = alt;
+  }
+  return best;
+}
+
+function isIdentity(map) {
+  for (let i = 0; i < map.length; i++) if (map[i] !== i) return false;
+  return true;
+}
+
+// Inserted lines (current side) or deleted lines (baseline side), as absolute indexes. Blank lines only
+// count when they sit between content on that side; blank padding around the used range is not a change.
+// lines: lineIndex of that side's key grid.
+function unmatchedLines(map, lines, axis, base) {
+  let first = map.length;
+  let last = -1;
+  for (const i of lines[axis].keys()) {
+    first = Math.min(first, i);
+    last = Math.max(last, i);
+  }
+  const out = [];
+  for (let i = first; i <= last; i++) {
+    if (map[i] < 0) out.push(base + i);
+  }
+  return out;
+}
+
+// Human-readable structural notes for a per-sheet diff, e.g. "row 12 inserted", "columns D–E deleted".
+// Consecutive indexes are merged into one note.
+export function describeStructure(structure) {
+  if (!structure) return [];
+  const notes = [];
+  const add = (list, label, verb) => {
+    const sorted = [...(list || [])].sort((x, y) => x - y);
+    let i = 0;
+    while (i < sorted.length) {
+      let j = i;
+      while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+      const name = label === "row" ? (x) => String(x + 1) : columnLetter;
+      const span = i === j ? `${label} ${name(sorted[i])}` : `${label}s ${name(sorted[i])}–${name(sorted[j])}`;
+      notes.push(`${span} ${verb}`);
+      i = j + 1;
+    }
+  };
+  add(structure.insertedRows, "row", "inserted");
+  add(structure.deletedRows, "row", "deleted");
+  add(structure.insertedCols, "column", "inserted");
+  add(structure.deletedCols, "column", "deleted");
+  return notes;
+}
+
+// Human-readable record notes for a key-column sheet diff, e.g. "record INV-7 modified: Amount, Status"
+export function describeRecords(records) {
+  if (!records) return [];
+  const notes = [];
+  for (const r of records.added) notes.push(`record ${formatRecordKey(r.key)} added (row ${r.row + 1})`);
+  for (const r of records.removed) notes.push(`record ${formatRecordKey(r.key)} removed`);
+  for (const r of records.modified) {
+    notes.push(`record ${formatRecordKey(r.key)} modified: ${r.fields.map((f) => f.header).join(", ")}`);
+  }
+  return notes;
+}
+
+// Added/removed/modified records for a key-column match, from the finished change set
+function collectRecords(match, cells, rows, cols, baseRow, baseCol, linesA, linesB) {
+  const records = { keyColumns: match.keyColsA.map((c) => match.labelsA[c]), added: [], removed: [], modified: [] };
+  // Changed fields per matched data row; the change set is row-major, so fields come in column order
+  const fields = new Map();
+  for (const [i, code] of cells) {
+    const r = Math.floor(i / cols);
+    const c = i % cols;
+    if (r <= match.headerRowA || match.row.aToB[r] < 0) continue;
+    if (!fields.has(r)) fields.set(r, []);
+    fields.get(r).push({ header: match.labelsA[c] || columnLetter(baseCol + c), column: baseCol + c, code });
+  }
+  for (let r = match.headerRowA + 1; r < rows; r++) {
+    const br = match.row.aToB[r];
+    if (br < 0) {
+      if (linesA.row.has(r)) records.added.push({ key: match.recordKeysA[r], row: baseRow + r });
+    } else if (fields.has(r)) {
+      records.modified.push({
+        key: match.recordKeysA[r],
+        row: baseRow + r,
+        baseRow: baseRow + br,
+        fields: fields.get(r),
+      });
+    }
+  }
+  for (let j = match.headerRowB + 1; j < rows; j++) {
+    if (match.row.bToA[j] < 0 && linesB.row.has(j)) {
+      records.removed.push({ key: match.recordKeysB[j], baseRow: baseRow + j });
+    }
+  }
+  return records;
+}
+
+// Diff one matched sheet pair. Rows and columns are aligned first so an insertion near the top does not
+// mark everything below it as changed; cell codes are laid out in current-sheet coordinates.
+// keySpec (optional) switches the sheet to key-column matching: rows pair by record key and columns by
+// header text instead of by sequence alignment.
+// opts: normalized comparison options.
+function diffSheetPair(curr, ai, base, bi, keySpec, opts) {
+  const as = curr.sheets[ai];
+  const bs = base.sheets[bi];
+  // Determine absolute-space bounding box covering both used ranges
+  const aRowOff = Math.max(0, as.rowOffset || 0);
+  const aColOff = Math.max(0, as.colOffset || 0);
+  const bRowOff = Math.max(0, bs.rowOffset || 0);
+  const bColOff = Math.max(0, bs.colOffset || 0);
+  const baseRow = Math.min(aRowOff, bRowOff);
+  const baseCol = Math.min(aColOff, bColOff);
+  const endRow = Math.max(aRowOff + Math.max(0, as.rowCount || 0), bRowOff + Math.max(0, bs.rowCount || 0));
+  const endCol = Math.max(aColOff + Math.max(0, as.columnCount || 0), bColOff + Math.max(0, bs.columnCount || 0));
+  const rows = Math.max(0, endRow - baseRow);
+  const cols = Math.max(0, endCol - baseCol);
+
+  const readA = sheetReader(curr, ai, baseRow, baseCol);
+  const readB = sheetReader(base, bi, baseRow, baseCol);
+  const keysA = keyGrid(curr, ai, baseRow, baseCol, rows, cols, opts);
+  const keysB = keyGrid(base, bi, baseRow, baseCol, rows, cols, opts);
+  const warnings = [];
+  let match = null;
+  if (keySpec) {
+    match = matchRecords(keysA, keysB, rows, cols, keySpec, baseRow, baseCol);
+    if (match.error) {
+      warnings.push(`Key-column matching skipped (${match.error}); compared by position instead.`);
+      match = null;
+    }
+  }
+  const linesA = lineIndex(keysA, cols);
+  const linesB = lineIndex(keysB, cols);
+  const aligned = match || alignGrids(keysA, keysB, linesA, linesB, rows, cols);
+  // rowMap/colMap: local current index -> local baseline index (same box origin), -1 when inserted
+  const rowMap = aligned.row.aToB;
+  const colMap = aligned.col.aToB;
+  // Reordered records are not structural changes; only header-matched columns are reported in key mode
+  const structure = {
+    insertedRows: match ? [] : unmatchedLines(rowMap, linesA, "row", baseRow),
+    deletedRows: match ? [] : unmatchedLines(aligned.row.bToA, linesB, "row", baseRow),
+    insertedCols: unmatchedLines(colMap, linesA, "col", baseCol),
+    deletedCols: unmatchedLines(aligned.col.bToA, linesB, "col", baseCol),
+  };
+
+  // Only cells non-blank on at least one side are classified: the current sheet's cells, then baseline cells
+  // whose aligned current cell is blank. Changed cells are kept sparsely, so the cost follows the cells rather
+  // than the box
+  const changed = [];
+  const empty = { v: null, f: null, t: "Empty" };
+  const classifyAt = (r, c) => {
+    const br = rowMap[r];
+    const bc = colMap[c];
+    const bCell = br >= 0 && bc >= 0 ? readB(br, bc) : empty;
+    const code = classifyCell(readA(r, c), bCell, opts);
+    if (code !== CODE_NONE) changed.push([r * cols + c, code]);
+  };
+  for (const i of keysA.keys()) classifyAt(Math.floor(i / cols), i % cols);
+  for (const j of keysB.keys()) {
+    const r = aligned.row.bToA[Math.floor(j / cols)];
+    const c = aligned.col.bToA[j % cols];
+    if (r >= 0 && c >= 0 && !keysA.has(r * cols + c)) classifyAt(r, c);
+  }
+  const cells = new Map(changed.sort((x, y) => x[0] - y[0]));
+  const records = match ? collectRecords(match, cells, rows, cols, baseRow, baseCol, linesA, linesB) : null;
+  const sheetDiff = {
+    rows,
+    cols,
+    rowBase: baseRow,
+    colBase: baseCol,
+    // Changed cells only: box-local row-major index (r * cols + c) -> code, in row-major order. Later passes (moves,
+    // arrays) recode entries in place but never add any
+    cells,
+    // null when the axis lines up one-to-one
+    rowMap: isIdentity(rowMap) ? null : rowMap,
+    colMap: isIdentity(colMap) ? null : colMap,
+    structure,
+    // Key-column mode only: { keyColumns, added, removed, modified }
+    records,
+    warnings,
+  };
+  // Note and comment changes (see comments.js), when both models captured them
+  sheetDiff.comments = opts.commentKinds ? diffSheetComments(as, bs, sheetDiff, opts.commentKinds) : [];
+  // Merged areas, hidden rows and columns, and freeze panes (see layout.js), when both models captured them
+  sheetDiff.layout = opts.layout ? diffSheetLayout(as, bs, sheetDiff) : [];
+  // Spills and array formulas (see arrays.js), when both models captured them; recodes spilled cells' changes
+  sheetDiff.arrays = opts.arrayKinds
+    ? diffSheetArrays(curr, ai, base, bi, sheetDiff, opts.arrayKinds, {
+        CODE_NONE,
+        CODE_VALUE,
+        CODE_FORMULA,
+        CODE_REF_SHIFT,
+      })
+    : [];
+  sheetDiff.counts = sheetCounts(sheetDiff);
+  return sheetDiff;
+}
+
+// Per-sheet counts from a finished sheet diff (recomputed after moves recode cells)
+function sheetCounts({ cells, structure, records, comments, layout, arrays }) {
+  const counts = {};
+  for (const key of Object.values(COUNT_KEYS)) counts[key] = 0;
+  for (const code of cells.values()) counts[COUNT_KEYS[code]]++;
+  const cellsChanged = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  counts.comment = comments ? comments.length : 0;
+  counts.layout = layout ? layout.length : 0;
+  counts.array = arrays ? arrays.length : 0;
+  counts.rowsInserted = structure.insertedRows.length;
+  counts.rowsDeleted = structure.deletedRows.length;
+  counts.colsInserted = structure.insertedCols.length;
+  counts.colsDeleted = structure.deletedCols.length;
+  counts.recordsAdded = records ? records.added.length : 0;
+  counts.recordsRemoved = records ? records.removed.length : 0;
+  counts.recordsModified = records ? records.modified.length : 0;
+  // Removed records have no cells in the current sheet, so they count separately
+  counts.changed =
+    cellsChanged +
+    counts.rowsInserted +
+    counts.rowsDeleted +
+    counts.colsInserted +
+    counts.colsDeleted +
+    counts.recordsRemoved +
+    counts.comment +
+    counts.layout +
+    counts.array;
+  return counts;
+}
+
+// Options:
+// - keyColumns: { [sheetName]: { columns: [header name or column letter, ...], headerRow: 1-based row | null } }
+//   compares those sheets record-by-record (rows matched by key) instead of by position
+// - sheetMap: { [currentName]: baselineName } manual sheet pairs (see matchSheets)
+// - renameThreshold: content similarity needed to pair unmatched sheets as renames
+// - absTolerance, relTolerance, caseSensitive, whitespace, formulaLiteralSwap: comparison options
+//   (see DEFAULT_COMPARE_OPTIONS); formula <-> literal swaps never count against a values-only model
+//   (model.formulas false, e.g. a CSV import)
+// - numberFormats: report number format changes (CODE_NUMBER_FORMAT); applies only when both models were captured
+//   with number formats (model.numberFormats)
+// - styles: report style changes (CODE_STYLE); applies only when both models were captured with styles
+//   (model.styles), and only to the style groups both captured
+// - layout: report merged area, hidden row and column, and freeze pane changes (CODE_LAYOUT); applies only when both
+//   models were captured with layout (model.layout)
+// - detectMoves: report blocks whose content reappears elsewhere as moves (default true)
+// - onProgress({ phase: "diff", sheet, done, total }): called after each compared sheet pair
+// Results are keyed by current sheet name; removed sheets by baseline name. Renamed sheets get
+// sheetStatus "renamed" and are listed in `renames` as { from, to, similarity, manual }.
+// `moves` lists moved blocks as { from: { sheet, range }, to: { sheet, range }, cells } (see moves.js).
+// `workbook` holds added/removed/re-pointed defined names and reordered or re-hidden sheets (see
+// diffWorkbookMeta in workbook-meta.js); null when either model predates workbook metadata.
+// `tables` holds added, removed, resized and re-columned Excel tables (see diffTables in tables.js); null when
+// either model predates table capture.
+// `rules` holds added, removed and modified conditional formats and data validation per sheet (see diffRules in
+// rules.js); null when either model predates rule capture.
+// `hiddenSheets` names the compared or added current sheets that are hidden, which cannot show overlays.
+// `styleGroups` lists the style groups compared (see styles.js), null when styles were not compared.
+// `commentKinds` lists the comment kinds compared ("note", "comment"), null when either model predates comment
+// capture; each sheet diff's `comments` lists that sheet's note and comment changes (see comments.js).
+// `layout` is true when layout was compared; each sheet diff's `layout` lists that sheet's layout changes (see
+// layout.js).
+// `arrayKinds` lists the array kinds compared ("spill", "array"), null when either model predates array capture;
+// each sheet diff's `arrays` lists that sheet's spill and array formula changes (see arrays.js).
+// `changes` is a change list over all changed cells, comment, layout and array changes (see createChangeList in
+// changes.js).
+export function diffWorkbooks(curr, base, options = {}) {
+  const keyColumns = options.keyColumns || {};
+  const compareOptions = normalizeCompareOptions(options);
+  const opts = {
+    ...compareOptions,
+    formulaLiteralSwap: compareOptions.formulaLiteralSwap && curr.formulas !== false && base.formulas !== false,
+    numberFormats: compareOptions.numberFormats && Boolean(curr.numberFormats && base.numberFormats),
+    styleGroups: compareOptions.styles ? commonStyleGroups(curr.styles, base.styles) : null,
+    commentKinds: commonCommentKinds(curr.commentKinds, base.commentKinds),
+    layout: compareOptions.layout && Boolean(curr.layout && base.layout),
+    arrayKinds: commonArrayKinds(curr.arrayKinds, base.arrayKinds),
+  };
+  const matched = matchSheets(curr, base, {
+    sheetMap: options.sheetMap,
+    renameThreshold: options.renameThreshold,
+    whitespace: opts.whitespace,
+    caseSensitive: opts.caseSensitive,
+  });
 
   const bySheet = {};
   const sheetStatus = {};
-  const summary = { total: { add: 0, remove: 0, value: 0, formula: 0, changedSheets: 0 } };
-
-  for (const name of allNames) {
-    const ai = byNameCurr.get(name);
-    const bi = byNameBase.get(name);
-    if (ai === undefined && bi !== undefined) {
-      sheetStatus[name] = "removed";
-      continue;
-    }
-    if (ai !== undefined && bi === undefined) {
-      sheetStatus[name] = "added";
-      continue;
+  const renames = [];
+  const summary = {
+    total: {
+      add: 0,
+      remove: 0,
+      value: 0,
+      formula: 0,
+      refShift: 0,
+      errors: 0,
+      errorsResolved: 0,
+      typeChanged: 0,
+      moved: 0,
+      numberFormat: 0,
+      style: 0,
+      comment: 0,
+      layout: 0,
+      array: 0,
+      rowsInserted: 0,
+      rowsDeleted: 0,
+      colsInserted: 0,
+      colsDeleted: 0,
+      recordsAdded: 0,
+      recordsRemoved: 0,
+      recordsModified: 0,
+      changedSheets: 0,
+    },
+  };
+
+  // A removed baseline sheet whose name is reused by an unrelated current sheet keeps the current status
+  for (const bi of matched.removed) sheetStatus[base.sheets[bi].name] = "removed";
+  for (const ai of matched.added) sheetStatus[curr.sheets[ai].name] = "added";
+  for (const [i, { ai, bi, renamed, manual, similarity }] of matched.pairs.entries()) {
+    const name = curr.sheets[ai].name;
+    const sheetDiff = diffSheetPair(curr, ai, base, bi, keyColumns[name] || null, opts);
+    if (renamed) {
+      const from = base.sheets[bi].name;
+      sheetDiff.baseName = from;
+      renames.push({ from, to: name, similarity, manual });
     }
-    // Both present
-    const as = curr.sheets[ai];
-    const bs = base.sheets[bi];
-    // Determine absolute-space bounding box covering both used ranges
-    const aRowOff = Math.max(0, as.rowOffset || 0);
-    const aColOff = Math.max(0, as.colOffset || 0);
-    const bRowOff = Math.max(0, bs.rowOffset || 0);
-    const bColOff = Math.max(0, bs.colOffset || 0);
-    const aRows = Math.max(0, as.rowCount || 0);
-    const aCols = Math.max(0, as.columnCount || 0);
-    const bRows = Math.max(0, bs.rowCount || 0);
-    const bCols = Math.max(0, bs.columnCount || 0);
-    const baseRow = Math.min(aRowOff, bRowOff);
-    const baseCol = Math.min(aColOff, bColOff);
-    const endRow = Math.max(aRowOff + aRows, bRowOff + bRows);
-    const endCol = Math.max(aColOff + aCols, bColOff + bCols);
-    const rows = Math.max(0, endRow - baseRow);
-    const cols = Math.max(0, endCol - baseCol);
-    const cells = new Uint8Array(rows * cols);
-    let add = 0,
-      remove = 0,
-      value = 0,
-      formula = 0;
-    for (let rAbs = baseRow; rAbs < baseRow + rows; rAbs++) {
-      for (let cAbs = baseCol; cAbs < baseCol + cols; cAbs++) {
-        // Map absolute coordinate to local indices within each model's used range
-        const ar = rAbs - aRowOff;
-        const ac = cAbs - aColOff;
-        const br = rAbs - bRowOff;
-        const bc = cAbs - bColOff;
-        const aCell = (ar >= 0 && ac >= 0 && ar < aRows && ac < aCols) ? getCell(curr, ai, ar, ac) : { v: null, f: null, t: "Empty" };
-        const bCell = (br >= 0 && bc >= 0 && br < bRows && bc < bCols) ? getCell(base, bi, br, bc) : { v: null, f: null, t: "Empty" };
-        const code = classifyCell(aCell, bCell);
-        
-        if (code !== CODE_NONE) {
-          const rr = rAbs - baseRow;
-          const cc = cAbs - baseCol;
-          const idx = rr * cols + cc;
-          cells[idx] = code;
-          if (code === CODE_ADD) add++;
-          else if (code === CODE_REMOVE) remove++;
-          else if (code === CODE_VALUE) value++;
-          else if (code === CODE_FORMULA) formula++;
-        }
-      }
+    bySheet[name] = sheetDiff;
+    if (options.onProgress)
+      options.onProgress({ phase: "diff", sheet: name, done: i + 1, total: matched.pairs.length });
+  }
+
+  const moves =
+    options.detectMoves === false
+      ? []
+      : detectMoves(curr, base, bySheet, opts, { CODE_NONE, CODE_ADD, CODE_REMOVE, CODE_MOVED });
+  for (const [name, sheetDiff] of Object.entries(bySheet)) {
+    if (moves.length) sheetDiff.counts = sheetCounts(sheetDiff);
+    const { counts } = sheetDiff;
+    const renamed = Boolean(sheetDiff.baseName);
+    if (renamed) sheetStatus[name] = "renamed";
+    else sheetStatus[name] = counts.changed > 0 ? "modified" : "unchanged";
+    if (counts.changed > 0 || renamed) summary.total.changedSheets++;
+    for (const key of Object.keys(summary.total)) {
+      if (key !== "changedSheets") summary.total[key] += counts[key];
     }
-    const changed = add + remove + value + formula;
-    sheetStatus[name] = changed > 0 ? "modified" : "unchanged";
-    if (changed > 0) summary.total.changedSheets++;
-    summary.total.add += add;
-    summary.total.remove += remove;
-    summary.total.value += value;
-    summary.total.formula += formula;
-    bySheet[name] = { rows, cols, rowBase: baseRow, colBase: baseCol, cells, counts: { add, remove, value, formula, changed } };
   }
 
-  return { bySheet, sheetStatus, summary, codes: { CODE_NONE, CODE_ADD, CODE_REMOVE, CODE_VALUE, CODE_FORMULA } };
+  return {
+    bySheet,
+    sheetStatus,
+    renames,
+    moves,
+    workbook: diffWorkbookMeta(curr, base, renames),
+    tables: diffTables(curr, base, renames, bySheet),
+    rules: diffRules(curr, base, renames),
+    hiddenSheets: curr.sheets.filter((s) => isHiddenSheet(s) && sheetStatus[s.name] !== "removed").map((s) => s.name),
+    styleGroups: opts.styleGroups,
+    commentKinds: opts.commentKinds,
+    layout: opts.layout,
+    arrayKinds: opts.arrayKinds,
+    summary,
+    changes: createChangeList(bySheet, curr, base, CHANGE_CATEGORIES),
+    codes: {
+      CODE_NONE,
+      CODE_ADD,
+      CODE_REMOVE,
+      CODE_VALUE,
+      CODE_FORMULA,
+      CODE_REF_SHIFT,
+      CODE_ERROR,
+      CODE_ERROR_FIXED,
+      CODE_TYPE,
+      CODE_MOVED,
+      CODE_NUMBER_FORMAT,
+      CODE_STYLE,
+      CODE_COMMENT,
+      CODE_LAYOUT,
+      CODE_ARRAY,
+    },
+  };
 }
@@ -0,0 +1,261 @@
+/* global TextDecoder */
+// Parse uploaded CSV/TSV files into a WorkbookModel compatible shape (sparse sheets, see sparse.js): one sheet per
+// file, placed at a target sheet name and anchor cell. Values are read the way Excel reads a CSV it opens (US
+// locale by default): numbers with thousands separators, currency signs, percents and parentheses become numbers,
+// TRUE/FALSE booleans, dates and times date serials, error texts errors; everything else stays text.
+import { cellAddress, parseRange } from "./cells";
+import { dateSerial } from "./dates";
+import { setSparseCell } from "./sparse";
+
+// Delimiters tried when a file does not name its own (Excel's "sep=" first line)
+const DELIMITERS = [",", ";", "\t", "|"];
+// Records sampled per delimiter when detecting which one the file uses
+const DETECT_RECORDS = 50;
+
+const DELIMITER_NAMES = { ",": "comma", ";": "semicolon", "\t": "tab", "|": "pipe" };
+
+const ERROR_TEXTS = new Set(["#NULL!", "#DIV/0!", "#VALUE!", "#REF!", "#NAME?", "#NUM!", "#N/A"]);
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Sheet name Excel gives a CSV it opens: the file name without extension, at most 31 characters, without the
+// characters sheet names cannot hold
+export function csvSheetName(fileName) {
+  const base = String(fileName || "")
+    .replace(/^.*[\\/]/, "")
+    .replace(/\.[^.]*$/, "");
+  return base.replace(/[[\]:*?/\\]/g, "_").slice(0, 31) || "Sheet1";
+}
+
+// Text of the file and the encoding it was read as: a byte order mark wins, then UTF-16 without one (every
+// other byte zero), then UTF-8 when the bytes are valid UTF-8, else Windows-1252 (what Excel assumes for ANSI files)
+function decodeText(bytes) {
+  const decode = (encoding, from = 0, fatal = false) =>
+    new TextDecoder(encoding, { fatal }).decode(bytes.subarray(from));
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf)
+    return { text: decode("utf-8", 3), encoding: "UTF-8" };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { text: decode("utf-16le", 2), encoding: "UTF-16LE" };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { text: decode("utf-16be", 2), encoding: "UTF-16BE" };
+  const sample = bytes.subarray(0, 1000);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((b, i) => {
+    if (b === 0 && i % 2) oddZeros++;
+    else if (b === 0) evenZeros++;
+  });
+  if (oddZeros > sample.length / 4) return { text: decode("utf-16le"), encoding: "UTF-16LE" };
+  if (evenZeros > sample.length / 4) return { text: decode("utf-16be"), encoding: "UTF-16BE" };
+  try {
+    return { text: decode("utf-8", 0, true), encoding: "UTF-8" };
+  } catch (_) {
+    return { text: decode("windows-1252"), encoding: "Windows-1252" };
+  }
+}
+
+// Records of delimited text as arrays of field strings, reading at most limit records. Fields starting with a
+// double quote run to the closing quote (doubled quotes read as one; delimiters and line breaks inside are kept);
+// text after a closing quote, and quotes inside unquoted fields, are kept as they are, as Excel does.
+function parseDelimited(text, delimiter, limit = Infinity) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  const endRecord = () => {
+    record.push(field);
+    records.push(record);
+    record = [];
+    field = "";
+  };
+  while (i < text.length && records.length < limit) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else field += ch;
+      i++;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+      i++;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+      i++;
+    } else if (ch === "\r" || ch === "\n") {
+      endRecord();
+      i += ch === "\r" && text[i + 1] === "\n" ? 2 : 1;
+    } else {
+      field += ch;
+      i++;
+    }
+  }
+  // A final line break does not start another record
+  if (records.length < limit && (field !== "" || record.length)) endRecord();
+  return records;
+}
+
+// The delimiter of a file: the one named on a "sep=" first line, a tab for .tsv files, else the candidate that
+// splits the sampled records into the most rows of one common width (more than one field); a comma when none does
+function detectDelimiter(text, fileName) {
+  const sep = /^sep=(.)\r?\n/i.exec(text);
+  if (sep) return { delimiter: sep[1], skip: sep[0].length };
+  if (/\.tsv$/i.test(fileName || "")) return { delimiter: "\t", skip: 0 };
+  let best = { delimiter: ",", score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const widths = new Map();
+    for (const record of parseDelimited(text, delimiter, DETECT_RECORDS)) {
+      if (record.length > 1) widths.set(record.length, (widths.get(record.length) || 0) + 1);
+    }
+    const score = Math.max(0, ...widths.values());
+    if (score > best.score) best = { delimiter, score };
+  }
+  return { delimiter: best.delimiter, skip: 0 };
+}
+
+// Two-digit years read as Excel reads them: 00-29 are 2000-2029, 30-99 are 1930-1999
+function fullYear(text) {
+  const y = parseInt(text, 10);
+  if (text.length > 2) return y;
+  return y < 30 ? 2000 + y : 1900 + y;
+}
+
+// Fraction of a day of a time ("13:45", "1:45 PM", "13:45:30.5"), or null
+function timeFraction(text) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?\s*([AaPp][Mm])?$/.exec(text);
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  const min = parseInt(m[2], 10);
+  const s = m[3] ? parseFloat(m[3]) : 0;
+  if (m[4]) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (/^p/i.test(m[4]) ? 12 : 0);
+  }
+  if (h > 23 || min > 59 || s >= 60) return null;
+  return (h * 3600 + min * 60 + s) / 86400;
+}
+
+function monthIndex(text) {
+  const i = MONTHS.indexOf(text.slice(0, 3).toLowerCase());
+  return i < 0 ? null : i + 1;
+}
+
+// Date serial of a date, optionally followed by a time ("2024-01-15", "1/15/2024 13:45", "15-Jan-24",
+// "Jan 15, 2024", "1/15" in the current year), or null. dateOrder: "mdy" or "dmy" for numeric dates.
+function dateValue(text, dateOrder) {
+  const m = /^(.+?)(?:\s+(\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:\s*[AaPp][Mm])?))?$/.exec(text);
+  if (!m) return null;
+  const fraction = m[2] ? timeFraction(m[2]) : 0;
+  if (fraction === null) return null;
+  const date = m[1];
+  let parts = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(date);
+  if (parts) return dateSerial(parseInt(parts[1], 10), parseInt(parts[2], 10), parseInt(parts[3], 10), fraction);
+  parts = /^(\d{1,2})[-/](\d{1,2})(?:[-/](\d{2}|\d{4}))?$/.exec(date);
+  if (parts) {
+    const [a, b] = [parseInt(parts[1], 10), parseInt(parts[2], 10)];
+    const year = parts[3] ? fullYear(parts[3]) : new Date().getFullYear();
+    return dateOrder === "dmy" ? dateSerial(year, b, a, fraction) : dateSerial(year, a, b, fraction);
+  }
+  parts = /^(\d{1,2})[- ]([A-Za-z]{3,9})[- ](\d{2}|\d{4})$/.exec(date);
+  if (parts && monthIndex(parts[2])) {
+    return dateSerial(fullYear(parts[3]), monthIndex(parts[2]), parseInt(parts[1], 10), fraction);
+  }
+  parts = /^([A-Za-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})$/.exec(date);
+  if (parts && monthIndex(parts[1])) {
+    return dateSerial(parseInt(parts[3], 10), monthIndex(parts[1]), parseInt(parts[2], 10), fraction);
+  }
+  return null;
+}
+
+// Number of a numeric text ("1,234.50", "$-5", "(12)", "12%", "1E5"), kept to Excel's 15 significant digits,
+// or null
+function numberValue(text) {
+  const m = /^(\()?([+-])?([$€£])?([+-])?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d*)?|\.\d+)([eE][+-]?\d+)?(%)?(\))?$/.exec(
+    text
+  );
+  if (!m || Boolean(m[1]) !== Boolean(m[8]) || (m[2] && m[4])) return null;
+  let n = parseFloat(m[5].replace(/,/g, "") + (m[6] || ""));
+  if (!Number.isFinite(n)) return null;
+  if (m[7]) n /= 100;
+  if (m[1] || m[2] === "-" || m[4] === "-") n = -n;
+  return Number(n.toPrecision(15));
+}
+
+// Value and type of one field as Excel would read it ({ v, t, nf } with t "Double", "Boolean", "Error" or
+// "String", and nf the format Excel gives dates and times, see dates.js); null for an empty field
+function fieldValue(field, dateOrder) {
+  if (field === "") return null;
+  const text = field.trim();
+  if (/^(true|false)$/i.test(text)) return { v: text.toLowerCase() === "true", t: "Boolean" };
+  if (ERROR_TEXTS.has(text.toUpperCase())) return { v: text.toUpperCase(), t: "Error" };
+  const n = numberValue(text);
+  if (n !== null) return { v: n, t: "Double" };
+  const time = timeFraction(text);
+  if (time !== null) return { v: time, t: "Double", nf: "h:mm" };
+  const date = dateValue(text, dateOrder);
+  if (date !== null) return { v: date, t: "Double", nf: Number.isInteger(date) ? "m/d/yyyy" : "m/d/yyyy h:mm" };
+  return { v: field, t: "String" };
+}
+
+// Files is a list of { buffer, name, sheet, anchor, delimiter } with buffer the file's ArrayBuffer, name its file
+// name, sheet the target sheet name (default: as Excel names it, see csvSheetName), anchor the cell its first
+// field lands on (default "A1") and delimiter one to use instead of detecting it.
+// Options:
+// - dateOrder: "mdy" (default) or "dmy", the order of numeric dates such as 3/4/2024
+// - onProgress({ phase: "parse", sheet, done, total }): called after each file
+// The model covers only its sheets (model.sheetScope, see commonSheetScope in workbook-meta.js) and records how
+// each file was read as model.csvFiles: [{ file, sheet, anchor, encoding, delimiter }]. Text starting with "=" is
+// kept as text: the files hold values, and there is no calculated value to compare a formula by; the model is
+// marked values-only (model.formulas false).
+export function parseCsvToModel(files, options = {}) {
+  const { dateOrder = "mdy", onProgress = null } = options;
+  const model = {
+    name: files.map((f) => f.name).join(", "),
+    sheets: [],
+    includesHidden: true,
+    formulas: false,
+    numberFormats: false,
+    styles: null,
+    layout: false,
+    sheetScope: [],
+    csvFiles: [],
+  };
+  for (const [i, file] of files.entries()) {
+    const name = file.sheet || csvSheetName(file.name);
+    if (model.sheetScope.includes(name)) throw new Error(`More than one file maps to sheet ${name}`);
+    const anchor = parseRange(file.anchor || "A1");
+    if (!anchor) throw new Error(`Invalid anchor cell for ${file.name}: ${file.anchor}`);
+    const { text, encoding } = decodeText(new Uint8Array(file.buffer));
+    const detected = file.delimiter ? { delimiter: file.delimiter, skip: 0 } : detectDelimiter(text, file.name);
+    const records = parseDelimited(text.slice(detected.skip), detected.delimiter);
+    const sheet = {
+      name,
+      visibility: "Visible",
+      rowCount: records.length,
+      columnCount: records.reduce((n, r) => Math.max(n, r.length), 0),
+      rowOffset: anchor.r1,
+      colOffset: anchor.c1,
+      cells: {},
+    };
+    records.forEach((record, r) =>
+      record.forEach((field, c) => {
+        const cell = fieldValue(field, dateOrder);
+        if (cell) setSparseCell(sheet, r, c, cell.v, cell.t, null, null, cell.nf);
+      })
+    );
+    model.sheets.push(sheet);
+    model.sheetScope.push(name);
+    model.csvFiles.push({
+      file: file.name,
+      sheet: name,
+      anchor: cellAddress(anchor.r1, anchor.c1),
+      encoding,
+      delimiter: DELIMITER_NAMES[detected.delimiter] || detected.delimiter,
+    });
+    if (onProgress) onProgress({ phase: "parse", sheet: name, done: i + 1, total: files.length });
+  }
+  return model;
+}
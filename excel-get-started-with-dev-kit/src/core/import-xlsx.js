@@ -1,6 +1,15 @@
 /* eslint-disable office-addins/load-object-before-read */
-// Parse an uploaded .xlsx ArrayBuffer into a WorkbookModel compatible shape.
+/* global TextDecoder */
+// Parse an uploaded workbook ArrayBuffer (.xlsx/.xlsm, .xlsb, .xls, .ods) into a WorkbookModel compatible shape
+// (sparse sheets, see sparse.js). SheetJS reads all of them into the same cells: shared formulas are expanded per
+// cell and formula cells carry their saved (cached) results; dates become 1900-system serials (see dates.js).
 import * as XLSX from "xlsx";
+import { dateHint, normalizeDateValue } from "./dates";
+import { a1ToR1C1 } from "./r1c1";
+import { conditionalFormatText, isOverlayRule, MAX_COLS, MAX_ROWS, normalizeRanges, validationText } from "./rules";
+import { setSparseCell } from "./sparse";
+import { styleFromSheetJS } from "./styles";
+import { isBuiltInName, nameFormula } from "./workbook-meta";
 
 function normalizeType(t) {
   switch (t) {
@@ -19,26 +28,468 @@ function normalizeType(t) {
   }
 }
 
-export function parseXlsxToModel(arrayBuffer) {
+// SheetJS stores error cells as BIFF error codes; Excel reports the display text for the live workbook
+const ERROR_TEXT = {
+  0x00: "#NULL!",
+  0x07: "#DIV/0!",
+  0x0f: "#VALUE!",
+  0x17: "#REF!",
+  0x1d: "#NAME?",
+  0x24: "#NUM!",
+  0x2a: "#N/A",
+  0x2b: "#GETTING_DATA",
+};
+
+// SheetJS sheet visibility (Workbook.Sheets[].Hidden) as Excel.SheetVisibility
+const VISIBILITY = ["Visible", "Hidden", "VeryHidden"];
+
+// Sheet kinds SheetJS reads besides worksheets (ws["!type"]); the live workbook's worksheets leave them out
+const SHEET_KINDS = { chart: "Chart sheet", macro: "Macro sheet", dialog: "Dialog sheet" };
+
+function isWorksheet(wb, name) {
+  const ws = wb.Sheets[name];
+  return !ws || !SHEET_KINDS[ws["!type"]];
+}
+
+// File names of the formats for warnings; "xml" is an XML Spreadsheet 2003 or HTML file (often saved as .xls)
+const FORMAT_LABELS = { xlsx: ".xlsx", xlsb: ".xlsb", xls: ".xls", ods: ".ods", xml: "XML and HTML" };
+
+// Leading bytes of the containers SheetJS reads: ZIP (.xlsx, .xlsb, .ods) and OLE compound files (.xls)
+function isZip(data) {
+  return data.length > 3 && data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03 && data[3] === 0x04;
+}
+
+function isCompoundFile(data) {
+  return [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1].every((b, i) => data[i] === b);
+}
+
+// Text spreadsheets SheetJS reads (XML Spreadsheet 2003, HTML tables), by their first non-blank character; anything
+// else would be read as delimited text
+function isMarkup(data) {
+  const head = new TextDecoder("utf-8").decode(data.subarray(0, 512)).replace(/^\uFEFF/, "");
+  return head.trimStart().startsWith("<");
+}
+
+// Format of a read workbook: "xlsx" (also .xlsm), "xlsb", "ods", "xls" or "xml"
+function workbookFormat(data, wb) {
+  if (isCompoundFile(data)) return "xls";
+  if (!isZip(data)) return "xml";
+  const parts = packageParts(wb);
+  if (/\.bin$/.test(parts.workbook)) return "xlsb";
+  return packageText(wb, parts.workbook) ? "xlsx" : "ods";
+}
+
+// SheetJS read with its errors reworded for the pane
+function readWorkbook(data, options) {
+  if (!isZip(data) && !isCompoundFile(data) && !isMarkup(data)) {
+    throw new Error("Not a workbook: upload an Excel (.xlsx, .xlsm, .xlsb, .xls) or OpenDocument (.ods) file");
+  }
+  try {
+    return XLSX.read(data, options);
+  } catch (e) {
+    const message = String(e && e.message ? e.message : e);
+    if (/password|encrypt/i.test(message)) {
+      throw new Error("The workbook is password-protected; remove the password in Excel and upload it again");
+    }
+    throw new Error(`Could not read the workbook (${message})`);
+  }
+}
+
+// Defined names, tab order and sheet visibility (see workbook-meta.js)
+function workbookMeta(wb, sheetVis) {
+  const visibility = (name) => {
+    const entry = sheetVis.find((s) => s.name === name);
+    return (entry && VISIBILITY[entry.Hidden]) || "Visible";
+  };
+  const names = ((wb.Workbook && wb.Workbook.Names) || [])
+    .filter((n) => n && n.Name && !n.Hidden && !isBuiltInName(n.Name))
+    .map((n) => ({
+      name: n.Name,
+      // Sheet is the index of the scoping sheet for sheet-level names
+      scope: typeof n.Sheet === "number" ? wb.SheetNames[n.Sheet] || null : null,
+      formula: nameFormula(n.Ref),
+    }));
+  const sheets = wb.SheetNames.filter((name) => isWorksheet(wb, name));
+  return { sheets: sheets.map((name) => ({ name, visibility: visibility(name) })), names };
+}
+
+// Text of a part of the .xlsx package (read with bookFiles), or "" when missing
+function packageText(wb, path) {
+  const file = wb.files && wb.files[path];
+  if (!file || !file.content) return "";
+  const bytes = file.content instanceof Uint8Array ? file.content : Uint8Array.from(file.content);
+  return new TextDecoder("utf-8").decode(bytes);
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function xmlDecode(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => XML_ENTITIES[e]);
+}
+
+function xmlAttributes(text) {
+  const attrs = {};
+  for (const a of text.matchAll(/([\w:]+)="([^"]*)"/g)) attrs[a[1]] = xmlDecode(a[2]);
+  return attrs;
+}
+
+// Attributes of the XML elements named tag (prefix-free), e.g. xmlElements(text, "sheet") -> [{ name, "r:id" }]
+function xmlElements(text, tag) {
+  return [...text.matchAll(new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*)>`, "g"))].map((m) => xmlAttributes(m[1]));
+}
+
+// Elements named tag with their attributes and inner XML ("" when self-closing)
+function xmlBlocks(text, tag) {
+  const re = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, "g");
+  return [...text.matchAll(re)].map((m) => ({ attrs: xmlAttributes(m[1]), body: m[2] || "" }));
+}
+
+// Relationship targets of a package part by Id, as package paths
+function partRelationships(wb, part) {
+  const slash = part.lastIndexOf("/");
+  const dir = part.slice(0, slash + 1);
+  const rels = {};
+  for (const rel of xmlElements(packageText(wb, `${dir}_rels/${part.slice(slash + 1)}.rels`), "Relationship")) {
+    const target = rel.Target || "";
+    const parts = (target.startsWith("/") ? target.slice(1) : dir + target).split("/");
+    const path = [];
+    for (const p of parts) {
+      if (p === "..") path.pop();
+      else if (p !== ".") path.push(p);
+    }
+    rels[rel.Id] = { type: rel.Type || "", path: path.join("/") };
+  }
+  return rels;
+}
+
+// Package parts of the workbook and its sheets: { workbook, sheets: [{ name, path }] }
+function packageParts(wb) {
+  const root = Object.values(partRelationships(wb, "")).find((r) => /\/officeDocument$/.test(r.type));
+  const workbook = root ? root.path : "xl/workbook.xml";
+  const rels = partRelationships(wb, workbook);
+  const sheets = [];
+  for (const sheet of xmlElements(packageText(wb, workbook), "sheet")) {
+    const part = rels[sheet["r:id"]];
+    if (part) sheets.push({ name: sheet.name, path: part.path });
+  }
+  return { workbook, sheets };
+}
+
+// Excel tables from the package parts (SheetJS does not read them), as model.tables entries (see tables.js)
+function readTables(wb, parts) {
+  const tables = [];
+  for (const sheet of parts.sheets) {
+    for (const rel of Object.values(partRelationships(wb, sheet.path))) {
+      if (!/\/table$/.test(rel.type)) continue;
+      const text = packageText(wb, rel.path);
+      const [table] = xmlElements(text, "table");
+      if (!table || !table.ref) continue;
+      tables.push({
+        name: table.displayName || table.name,
+        sheet: sheet.name,
+        range: table.ref.replace(/\$/g, ""),
+        headers: xmlElements(text, "tableColumn").map((c) => c.name),
+        showHeaders: table.headerRowCount !== "0",
+        showTotals: Number(table.totalsRowCount || 0) > 0,
+      });
+    }
+  }
+  return tables;
+}
+
+// Fill colors ("#RRGGBB" or null) of the differential formats conditional formats point at (dxfId)
+function differentialFills(wb, parts) {
+  const styles = Object.values(partRelationships(wb, parts.workbook)).find((r) => /\/styles$/.test(r.type));
+  if (!styles) return [];
+  const [dxfs] = xmlBlocks(packageText(wb, styles.path), "dxfs");
+  return xmlBlocks((dxfs && dxfs.body) || "", "dxf").map(({ body }) => {
+    const [color] = [...xmlElements(body, "bgColor"), ...xmlElements(body, "fgColor")].filter((c) => c.rgb);
+    return color ? `#${color.rgb.slice(-6).toUpperCase()}` : null;
+  });
+}
+
+const TEXT_RULES = {
+  containsText: "contains",
+  notContainsText: "notContains",
+  beginsWith: "beginsWith",
+  endsWith: "endsWith",
+};
+
+// .xlsx rule types read as Excel API preset criteria (see ConditionalFormatPresetCriterion)
+const PRESET_RULES = {
+  containsBlanks: "blanks",
+  notContainsBlanks: "nonBlanks",
+  containsErrors: "errors",
+  notContainsErrors: "nonErrors",
+  duplicateValues: "duplicateValues",
+  uniqueValues: "uniqueValues",
+};
+
+function averageCriterion(attrs) {
+  const side = attrs.aboveAverage === "0" ? "Below" : "Above";
+  const deviations = Number(attrs.stdDev || 0);
+  if (deviations) return `${["one", "two", "three"][deviations - 1] || deviations}StdDev${side}Average`;
+  return attrs.equalAverage === "1" ? `equalOr${side}Average` : `${side.toLowerCase()}Average`;
+}
+
+// A <cfRule> as the rule conditionalFormatText reads
+function conditionalFormatRule(attrs, body) {
+  const formulas = xmlBlocks(body, "formula").map((f) => xmlDecode(f.body));
+  const type = attrs.type;
+  if (type === "cellIs")
+    return { type: "cellValue", operator: attrs.operator, formula1: formulas[0], formula2: formulas[1] };
+  if (type === "expression") return { type: "custom", formula: formulas[0] };
+  if (TEXT_RULES[type]) return { type: "containsText", operator: TEXT_RULES[type], text: attrs.text };
+  const flag = (v) => v === "1" || v === "true";
+  if (type === "top10")
+    return { type: "topBottom", rank: Number(attrs.rank), bottom: flag(attrs.bottom), percent: flag(attrs.percent) };
+  if (type === "dataBar" || type === "colorScale" || type === "iconSet") return { type };
+  if (type === "aboveAverage") return { type: "presetCriteria", criterion: averageCriterion(attrs) };
+  if (type === "timePeriod") {
+    return { type: "presetCriteria", criterion: attrs.timePeriod === "last7Days" ? "lastSevenDays" : attrs.timePeriod };
+  }
+  return { type: "presetCriteria", criterion: PRESET_RULES[type] || type };
+}
+
+// A <dataValidation> as the rule validationText reads; null for prompt-only entries (no type)
+function validationRule(attrs, body) {
+  const [formula1, formula2] = ["formula1", "formula2"].map((tag) => {
+    const [f] = xmlBlocks(body, tag);
+    return f ? xmlDecode(f.body) : "";
+  });
+  const type = attrs.type || "none";
+  if (type === "none") return null;
+  if (type === "list") {
+    // A literal list is stored quoted ("a,b,c"); Excel reports it bare, and a range source with "="
+    const quoted = /^"([\s\S]*)"$/.exec(formula1);
+    return { type, source: quoted ? quoted[1].replace(/""/g, '"') : `=${formula1}` };
+  }
+  if (type === "custom") return { type, formula: formula1 };
+  return { type, operator: attrs.operator, formula1, formula2 };
+}
+
+// Conditional formats and data validation of each sheet (see rules.js) by sheet name. Conditional formats in
+// the given overlay colors are the add-in's own highlights saved with the file and are left out. Rules kept in
+// the sheets' extension lists (newer data bar options, validation lists pointing at other sheets) are not read.
+function readRules(wb, parts, overlayColors) {
+  const fills = differentialFills(wb, parts);
+  const bySheet = new Map();
+  for (const sheet of parts.sheets) {
+    const text = packageText(wb, sheet.path).replace(/<(?:\w+:)?extLst\b[\s\S]*?<\/(?:\w+:)?extLst>/g, "");
+    const formats = [];
+    for (const block of xmlBlocks(text, "conditionalFormatting")) {
+      for (const { attrs, body } of xmlBlocks(block.body, "cfRule")) {
+        const rule = conditionalFormatRule(attrs, body);
+        const fill = attrs.dxfId !== undefined ? fills[Number(attrs.dxfId)] || null : null;
+        // Without a fill to go by, the rules overlays are created with identify them
+        if (isOverlayRule({ ...rule, fill }, overlayColors, { matchRuleTypes: !fill })) continue;
+        formats.push({
+          priority: Number(attrs.priority || 0),
+          rule: {
+            type: rule.type,
+            range: normalizeRanges([block.attrs.sqref || ""]),
+            text: conditionalFormatText(rule),
+          },
+        });
+      }
+    }
+    const validation = new Map();
+    for (const { attrs, body } of xmlBlocks(text, "dataValidation")) {
+      const rule = validationRule(attrs, body);
+      if (!rule) continue;
+      const key = validationText(rule);
+      validation.set(key, (validation.get(key) || []).concat(attrs.sqref || ""));
+    }
+    bySheet.set(sheet.name, {
+      conditionalFormats: formats.sort((a, b) => a.priority - b.priority).map((f) => f.rule),
+      dataValidations: [...validation].map(([key, areas]) => ({ range: normalizeRanges(areas), text: key })),
+    });
+  }
+  return bySheet;
+}
+
+// Formula text as Excel shows it: files store newer functions with prefixes ("_xlfn._xlws.SORT", of which SheetJS
+// drops "_xlfn.") and spill references as ANCHORARRAY(B2) rather than B2#
+function excelFormula(f) {
+  return f
+    .replace(/_xl(ws|pm)\./g, "")
+    .replace(/(?:_xlfn\.)?ANCHORARRAY\(('?[^()]*?'?!)?(\$?[A-Z]{1,3}\$?\d+)\)/gi, "$1$2#");
+}
+
+// Spill ranges and legacy array formulas of a sheet as arrays.js entries plus SheetJS's ref and the anchor's
+// formula: SheetJS marks every cell of an array formula with its range (cell.F) and only the anchor with the formula,
+// flagged D when it is a dynamic array formula (read from the file's cell metadata, .xlsx and .xlsb only). Like the
+// live workbook's spills, only arrays over more than one cell are kept.
+function sheetArrays(ws) {
+  const out = [];
+  for (const key of Object.keys(ws)) {
+    const cell = ws[key];
+    if (key.startsWith("!") || !cell || !cell.F || !cell.f) continue;
+    const area = XLSX.utils.decode_range(cell.F);
+    const anchor = XLSX.utils.decode_cell(key);
+    if (area.s.r !== anchor.r || area.s.c !== anchor.c) continue;
+    if (area.s.r === area.e.r && area.s.c === area.e.c) continue;
+    out.push({
+      range: XLSX.utils.encode_range(area),
+      kind: cell.D ? "spill" : "array",
+      ref: cell.F,
+      formula: `=${excelFormula(cell.f)}`,
+    });
+  }
+  return out;
+}
+
+// Notes and threaded comments of a cell (SheetJS cell.c) as comments.js entries. SheetJS lists a threaded
+// comment and its replies as consecutive entries flagged T, with the text as stored in the part; the resolved
+// state is not read.
+function cellComments(address, entries) {
+  const threaded = entries.filter((c) => c.T);
+  if (threaded.length) {
+    const [first, ...replies] = threaded.map((c) => ({ author: c.a || null, text: xmlDecode(c.t || "") }));
+    return [{ address, kind: "comment", ...first, resolved: null, replies }];
+  }
+  return entries.map((c) => ({
+    address,
+    kind: "note",
+    author: c.a || null,
+    text: c.t || "",
+    resolved: null,
+    replies: [],
+  }));
+}
+
+// Merged areas, hidden rows and columns, and freeze panes of a sheet (see layout.js). Merges and hidden lines come
+// from SheetJS (!merges, !rows, and !cols when read with cellStyles); SheetJS does not read panes, so the freeze
+// comes from the first sheet view in the sheet's .xlsx part, and is null without one (other formats).
+function sheetLayout(wb, ws, part) {
+  const hidden = (lines, rect) => {
+    const areas = [];
+    (lines || []).forEach((line, i) => {
+      if (line && line.hidden) areas.push(rect(i));
+    });
+    return normalizeRanges(areas);
+  };
+  const [view] = part ? xmlBlocks(packageText(wb, part.path), "sheetView") : [];
+  const [pane] = view ? xmlElements(view.body, "pane") : [];
+  const frozen = pane && /^frozen/.test(pane.state || "");
+  const freeze = frozen
+    ? { rows: Number(pane.ySplit || 0), columns: Number(pane.xSplit || 0) }
+    : { rows: 0, columns: 0 };
+  return {
+    merges: (ws["!merges"] || []).map((m) => XLSX.utils.encode_range(m)),
+    hiddenRows: hidden(ws["!rows"], (r) => ({ r1: r, c1: 0, r2: r, c2: MAX_COLS - 1 })),
+    hiddenColumns: hidden(ws["!cols"], (c) => ({ r1: 0, c1: c, r2: MAX_ROWS - 1, c2: c })),
+    freeze: part ? freeze : null,
+  };
+}
+
+// Options:
+// - includeHidden: include hidden and very hidden sheets (default: false); model.includesHidden records it
+// - includeNumberFormats: also read each cell's number format (default: false); sets model.numberFormats
+// - includeStyles: also read each cell's fill, the only cell style SheetJS reads (default: false); sets
+//   model.styles to ["fill"] (see styles.js)
+// - includeLayout: also read merged areas, hidden rows and columns, and freeze panes (default: false); sets
+//   model.layout and each sheet's layout (see layout.js)
+// - overlayColors: fills ("#RRGGBB") of the add-in's highlight overlays, left out of conditional formats
+// - onProgress({ phase: "parse", sheet, done, total }): called after each sheet
+// Sheets carry their conditional formats and data validation (see rules.js), and their notes and threaded
+// comments (see comments.js). Only .xlsx/.xlsm files provide rules, tables, threaded comments, cell fills and
+// freeze panes; for other formats these are left uncaptured (null, or only notes in model.commentKinds) so they
+// are not compared. model.format names the format read, model.date1904 the workbook's date system (values are
+// normalized to the 1900 system, see dates.js), and model.warnings lists what could not be read ("Chart sheet
+// Chart1 skipped", formulas without saved results).
+// Throws an Error with a readable message for files that are not workbooks or are password-protected.
+export function parseXlsxToModel(arrayBuffer, options = {}) {
+  const {
+    includeHidden = false,
+    includeNumberFormats = false,
+    includeStyles = false,
+    includeLayout = false,
+    overlayColors = [],
+    onProgress = null,
+  } = options;
   const data = new Uint8Array(arrayBuffer);
-  const wb = XLSX.read(data, { type: "array", cellDates: true, cellText: false });
+  const wb = readWorkbook(data, {
+    type: "array",
+    cellDates: true,
+    cellText: false,
+    // Number formats are read even when not compared: they tell dates apart (see dates.js)
+    cellNF: true,
+    // Column widths and hidden columns (!cols) are read only with cell styles
+    cellStyles: includeStyles || includeLayout,
+    bookFiles: true,
+  });
   const sheetVis = (wb.Workbook && wb.Workbook.Sheets) || [];
+  const format = workbookFormat(data, wb);
+  const isXlsx = format === "xlsx";
+  const parts = isXlsx ? packageParts(wb) : { workbook: null, sheets: [] };
+  const rules = isXlsx ? readRules(wb, parts, new Set(overlayColors.map((c) => String(c).toUpperCase()))) : null;
+  const sheetRules = (name) =>
+    rules
+      ? rules.get(name) || { conditionalFormats: [], dataValidations: [] }
+      : { conditionalFormats: null, dataValidations: null };
 
   const model = {
     name: "UploadedWorkbook",
+    format,
+    date1904: Boolean(wb.Workbook && wb.Workbook.WBProps && wb.Workbook.WBProps.date1904),
     sheets: [],
+    includesHidden: Boolean(includeHidden),
+    numberFormats: Boolean(includeNumberFormats),
+    styles: includeStyles && isXlsx ? ["fill"] : null,
+    layout: Boolean(includeLayout),
+    workbook: workbookMeta(wb, sheetVis),
+    tables: isXlsx ? [] : null,
+    commentKinds: isXlsx ? ["comment", "note"] : ["note"],
+    arrayKinds: isXlsx || format === "xlsb" ? ["spill", "array"] : ["array"],
+    warnings: [],
   };
+  const label = FORMAT_LABELS[format];
+  if (!isXlsx) {
+    model.warnings.push(
+      `Conditional formatting, data validation, Excel tables and threaded comments are not read from ${label} files, so they are not compared.`
+    );
+    if (includeStyles) model.warnings.push(`Cell styles are not read from ${label} files, so they are not compared.`);
+    if (includeLayout) model.warnings.push(`Freeze panes are not read from ${label} files, so they are not compared.`);
+  }
 
-  for (const name of wb.SheetNames) {
-    // visibility: 0 visible, 1 hidden, 2 very hidden
-    const visEntry = sheetVis.find((s) => s.name === name);
-    const hidden = visEntry && typeof visEntry.Hidden === "number" ? visEntry.Hidden > 0 : false;
-    if (hidden) continue; // skip hidden for MVP
+  const report = (sheet, i) => {
+    if (onProgress) onProgress({ phase: "parse", sheet, done: i + 1, total: wb.SheetNames.length });
+  };
+  for (const [i, name] of wb.SheetNames.entries()) {
+    if (!isWorksheet(wb, name)) {
+      model.warnings.push(`${SHEET_KINDS[wb.Sheets[name]["!type"]]} ${name} skipped; only worksheets are compared.`);
+      report(name, i);
+      continue;
+    }
+    const visibility = model.workbook.sheets.find((s) => s.name === name).visibility;
+    if (visibility !== "Visible" && !includeHidden) {
+      report(name, i);
+      continue;
+    }
 
     const ws = wb.Sheets[name];
     const ref = ws["!ref"];
+    const layout = includeLayout
+      ? sheetLayout(
+          wb,
+          ws,
+          parts.sheets.find((p) => p.name === name)
+        )
+      : null;
     if (!ref) {
-      model.sheets.push({ name, rowCount: 0, columnCount: 0, values: [], formulas: [], valueTypes: [] });
+      model.sheets.push({
+        name,
+        visibility,
+        rowCount: 0,
+        columnCount: 0,
+        cells: {},
+        ...sheetRules(name),
+        comments: [],
+        layout,
+        arrays: [],
+      });
+      report(name, i);
       continue;
     }
     const range = XLSX.utils.decode_range(ref);
@@ -46,30 +497,61 @@ export function parseXlsxToModel(arrayBuffer) {
     const cols = range.e.c - range.s.c + 1;
     const rowOffset = Math.max(0, range.s.r); // zero-based starting row in worksheet coordinates
     const colOffset = Math.max(0, range.s.c); // zero-based starting column in worksheet coordinates
+    const arrays = sheetArrays(ws);
 
-    const values = Array.from({ length: rows }, () => Array(cols).fill(null));
-    const formulas = Array.from({ length: rows }, () => Array(cols).fill(null));
-    const valueTypes = Array.from({ length: rows }, () => Array(cols).fill("Empty"));
+    const sheet = {
+      name,
+      visibility,
+      rowCount: rows,
+      columnCount: cols,
+      rowOffset,
+      colOffset,
+      cells: {},
+      ...sheetRules(name),
+      comments: [],
+      layout,
+      arrays: arrays.map((a) => ({ range: a.range, kind: a.kind })),
+    };
 
     const addrRegex = /^[A-Z]+[0-9]+$/i;
+    let unsaved = 0; // formula cells without a saved result
     for (const key of Object.keys(ws)) {
       if (!addrRegex.test(key)) continue;
       const cell = ws[key];
       const addr = XLSX.utils.decode_cell(key);
+      if (Array.isArray(cell.c) && cell.c.length) sheet.comments.push(...cellComments(key.toUpperCase(), cell.c));
       const r = addr.r - range.s.r;
       const c = addr.c - range.s.c;
       if (r < 0 || c < 0 || r >= rows || c >= cols) continue;
       const t = normalizeType(cell.t);
-      valueTypes[r][c] = t;
-      // Formula text (include leading '=') if present
-      const f = cell.f ? `=${cell.f}` : null;
-      formulas[r][c] = f;
-      // Raw value; dates may be JS Date or number depending on cellDates
-      values[r][c] = cell.v === undefined ? null : cell.v;
+      // Formula text (include leading '=') if present; legacy array formula cells all carry the anchor's formula,
+      // as Excel reports them, while spilled cells stay values
+      const array = cell.F && !cell.f ? arrays.find((a) => a.ref === cell.F && a.kind === "array") : null;
+      let f = cell.f ? `=${excelFormula(cell.f)}` : null;
+      if (array) f = array.formula;
+      if (f && cell.v === undefined) unsaved++;
+      // Raw value; dates (JS Dates with cellDates) become serials, their format kept as a hint
+      const format = typeof cell.z === "string" ? cell.z : null;
+      let v = cell.v === undefined ? null : normalizeDateValue(cell.v, format, model.date1904);
+      if (t === "Error") v = cell.w || ERROR_TEXT[cell.v] || String(cell.v);
+      const nf = includeNumberFormats ? format : dateHint(format);
+      const style = model.styles ? styleFromSheetJS(cell.s) : null;
+      // Formula also in relative R1C1 form, as Excel reports it for the live workbook
+      setSparseCell(sheet, r, c, v, t, f, a1ToR1C1(f, addr.r, addr.c), nf, style);
+    }
+    if (unsaved) {
+      model.warnings.push(
+        `${name}: ${unsaved} formula cell${
+          unsaved === 1 ? " has" : "s have"
+        } no saved result (the file was saved without calculating), so their values compare as blank.`
+      );
     }
 
-    model.sheets.push({ name, rowCount: rows, columnCount: cols, rowOffset, colOffset, values, formulas, valueTypes });
+    model.sheets.push(sheet);
+    report(name, i);
   }
 
+  const captured = new Set(model.sheets.map((sh) => sh.name));
+  if (isXlsx) model.tables = readTables(wb, parts).filter((t) => captured.has(t.sheet));
   return model;
 }
@@ -0,0 +1,219 @@
+// Sheet layout for the opt-in layout comparison: merged areas, hidden rows and columns, and freeze panes.
+// Model sheets carry it as `layout`: { merges, hiddenRows, hiddenColumns, freeze } with merges the merged areas
+// ("B2:D2"), hiddenRows and hiddenColumns normalized range lists ("4:6,10:10", "C:D"; "" when none, see
+// normalizeRanges in rules.js) and freeze the number of frozen { rows, columns } (both 0 when panes are not
+// frozen); a part is null when it could not be captured. Models captured with layout set `layout: true`; older
+// models have neither.
+import { cellAddress, parseRange } from "./cells";
+import { MAX_COLS, MAX_ROWS, normalizeRanges, parseArea } from "./rules";
+
+// Current <-> baseline index mapping of one axis of a sheet diff; identity outside the compared box
+function axisMap(sheetDiff, axis) {
+  const map = axis === "row" ? sheetDiff.rowMap : sheetDiff.colMap;
+  const origin = axis === "row" ? sheetDiff.rowBase : sheetDiff.colBase;
+  let inverse = null; // local baseline index -> local current index, built on first use
+  const inBox = (local) => map && local >= 0 && local < map.length;
+  return {
+    // Baseline index of a current line, -1 when it was inserted
+    toBase(x) {
+      const local = x - origin;
+      if (!inBox(local)) return x;
+      return map[local] < 0 ? -1 : origin + map[local];
+    },
+    // Current index of a baseline line, -1 when it was deleted
+    toCurrent(y) {
+      const local = y - origin;
+      if (!inBox(local)) return y;
+      if (!inverse) {
+        inverse = new Int32Array(map.length).fill(-1);
+        map.forEach((b, a) => {
+          if (b >= 0) inverse[b] = a;
+        });
+      }
+      return inverse[local] < 0 ? -1 : origin + inverse[local];
+    },
+  };
+}
+
+// Sorted zero-based [first, last] runs of a hidden rows ("4:6,10:10") or columns ("C:D") list
+function hiddenRuns(text, axis) {
+  return String(text)
+    .split(",")
+    .map((part) => (part ? parseArea(part) : null))
+    .filter(Boolean)
+    .map((a) => (axis === "row" ? [a.r1, a.r2] : [a.c1, a.c2]))
+    .sort((x, y) => x[0] - y[0]);
+}
+
+function inRuns(runs, x) {
+  let lo = 0;
+  let hi = runs.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (x < runs[mid][0]) hi = mid - 1;
+    else if (x > runs[mid][1]) lo = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+// Sorted indexes as [first, last] runs of consecutive lines
+function toRuns(indexes) {
+  const runs = [];
+  for (const x of [...indexes].sort((a, b) => a - b)) {
+    const last = runs[runs.length - 1];
+    if (last && x === last[1] + 1) last[1] = x;
+    else runs.push([x, x]);
+  }
+  return runs;
+}
+
+function lineRect(axis, first, last) {
+  return axis === "row"
+    ? { r1: first, c1: 0, r2: last, c2: MAX_COLS - 1 }
+    : { r1: 0, c1: first, r2: MAX_ROWS - 1, c2: last };
+}
+
+function layoutEntry(kind, change, rect, baseRect, old, now) {
+  return {
+    kind,
+    change,
+    range: rect ? normalizeRanges([rect]) : null,
+    rect,
+    row: rect ? rect.r1 : 0,
+    col: rect ? rect.c1 : 0,
+    baseRow: baseRect ? baseRect.r1 : null,
+    baseCol: baseRect ? baseRect.c1 : null,
+    baseAddress: baseRect ? cellAddress(baseRect.r1, baseRect.c1) : null,
+    old,
+    new: now,
+  };
+}
+
+// Rows or columns hidden or unhidden, in current coordinates. Lines inserted hidden count as hidden; lines
+// deleted while hidden are left to the structure report.
+function lineChanges(currText, baseText, axis, map) {
+  const curr = hiddenRuns(currText, axis);
+  const base = hiddenRuns(baseText, axis);
+  const kind = axis === "row" ? "rows" : "columns";
+  const hidden = [];
+  const shown = [];
+  for (const [first, last] of curr) {
+    for (let x = first; x <= last; x++) {
+      const y = map.toBase(x);
+      if (y < 0 || !inRuns(base, y)) hidden.push(x);
+    }
+  }
+  for (const [first, last] of base) {
+    for (let y = first; y <= last; y++) {
+      const x = map.toCurrent(y);
+      if (x >= 0 && !inRuns(curr, x)) shown.push(x);
+    }
+  }
+  return [
+    ...toRuns(hidden).map(([a, b]) => layoutEntry(kind, "hidden", lineRect(axis, a, b), null, null, null)),
+    ...toRuns(shown).map(([a, b]) => layoutEntry(kind, "shown", lineRect(axis, a, b), null, null, null)),
+  ];
+}
+
+// Merged areas added, removed or resized (same top-left cell), in the sheet diff's alignment
+function mergeChanges(currMerges, baseMerges, rows, cols) {
+  const key = (r) => `${r.r1}:${r.c1}:${r.r2}:${r.c2}`;
+  const base = new Map();
+  for (const text of baseMerges) {
+    const rect = parseRange(text);
+    if (rect) base.set(key(rect), rect);
+  }
+  const unmatched = [];
+  for (const text of currMerges) {
+    const rect = parseRange(text);
+    if (!rect) continue;
+    const mapped = {
+      r1: rows.toBase(rect.r1),
+      c1: cols.toBase(rect.c1),
+      r2: rows.toBase(rect.r2),
+      c2: cols.toBase(rect.c2),
+    };
+    const whole = Object.values(mapped).every((i) => i >= 0);
+    if (whole && base.delete(key(mapped))) continue;
+    unmatched.push({ rect, mapped });
+  }
+  const out = [];
+  for (const { rect, mapped } of unmatched) {
+    const prev = [...base.values()].find((b) => b.r1 === mapped.r1 && b.c1 === mapped.c1);
+    if (prev) base.delete(key(prev));
+    const text = normalizeRanges([rect]);
+    out.push(layoutEntry("merge", prev ? "resized" : "added", rect, prev, prev ? normalizeRanges([prev]) : null, text));
+  }
+  for (const prev of base.values()) {
+    // A merge whose top-left row or column was deleted keeps that baseline coordinate
+    const r = rows.toCurrent(prev.r1);
+    const c = cols.toCurrent(prev.c1);
+    const r1 = r < 0 ? prev.r1 : r;
+    const c1 = c < 0 ? prev.c1 : c;
+    const rect = { r1, c1, r2: r1 + prev.r2 - prev.r1, c2: c1 + prev.c2 - prev.c1 };
+    out.push(layoutEntry("merge", "removed", rect, prev, normalizeRanges([prev]), null));
+  }
+  return out;
+}
+
+// Layout changes of one sheet pair, in the sheet diff's row/column alignment: merges first, then rows, columns and
+// freeze panes. Returns [{ kind, change, range, rect, row, col, baseRow, baseCol, baseAddress, old, new }] with kind
+// "merge" (change "added" | "removed" | "resized", old/new the merged ranges), "rows" or "columns" (change
+// "hidden" | "shown", range e.g. "4:6" or "C:D") or "freeze" (change "added" | "removed" | "changed", old/new the
+// { rows, columns } frozen, no range or rect). rect is the current area ({ r1, c1, r2, c2 }, zero-based absolute)
+// and row/col its top-left cell; parts either side could not capture are skipped.
+export function diffSheetLayout(currSheet, baseSheet, sheetDiff) {
+  const a = currSheet.layout;
+  const b = baseSheet.layout;
+  if (!a || !b) return [];
+  const rows = axisMap(sheetDiff, "row");
+  const cols = axisMap(sheetDiff, "col");
+  const out = [];
+  if (Array.isArray(a.merges) && Array.isArray(b.merges)) out.push(...mergeChanges(a.merges, b.merges, rows, cols));
+  if (typeof a.hiddenRows === "string" && typeof b.hiddenRows === "string") {
+    out.push(...lineChanges(a.hiddenRows, b.hiddenRows, "row", rows));
+  }
+  if (typeof a.hiddenColumns === "string" && typeof b.hiddenColumns === "string") {
+    out.push(...lineChanges(a.hiddenColumns, b.hiddenColumns, "col", cols));
+  }
+  if (a.freeze && b.freeze && (a.freeze.rows !== b.freeze.rows || a.freeze.columns !== b.freeze.columns)) {
+    const frozen = (f) => f.rows > 0 || f.columns > 0;
+    const change = !frozen(b.freeze) ? "added" : !frozen(a.freeze) ? "removed" : "changed";
+    out.push(layoutEntry("freeze", change, null, null, b.freeze, a.freeze));
+  }
+  return out;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// e.g. "2 rows and 1 column"
+function freezeText(f) {
+  const parts = [];
+  if (f.rows) parts.push(plural(f.rows, "row"));
+  if (f.columns) parts.push(plural(f.columns, "column"));
+  return parts.join(" and ");
+}
+
+// Human-readable layout change, e.g. "rows 4:6 hidden", "B2:D2 merged" or "freeze panes 1 row → 2 rows"
+export function describeLayoutChange(entry) {
+  switch (entry.kind) {
+    case "merge":
+      if (entry.change === "added") return `${entry.new} merged`;
+      if (entry.change === "removed") return `${entry.old} unmerged`;
+      return `merged area ${entry.old} resized to ${entry.new}`;
+    case "rows":
+    case "columns": {
+      const single = entry.kind === "rows" ? entry.rect.r1 === entry.rect.r2 : entry.rect.c1 === entry.rect.c2;
+      const label = single ? entry.kind.slice(0, -1) : entry.kind;
+      const range = single ? entry.range.split(":")[0] : entry.range;
+      return `${label} ${range} ${entry.change === "hidden" ? "hidden" : "unhidden"}`;
+    }
+    default:
+      if (entry.change === "added") return `freeze panes added: ${freezeText(entry.new)}`;
+      if (entry.change === "removed") return `freeze panes removed (was ${freezeText(entry.old)})`;
+      return `freeze panes ${freezeText(entry.old)} → ${freezeText(entry.new)}`;
+  }
+}
@@ -0,0 +1,172 @@
+// Three-way merge: classify cells of the current workbook ("mine") against a common ancestor and a divergent
+// copy ("theirs"), and collect the theirs-only edits that can be applied to mine.
+import { diffWorkbooks, classifyCell, describeStructure } from "./diff";
+import { cellAt } from "./cells";
+import { normalizeCompareOptions } from "./compare-options";
+
+export const MERGE_NONE = 0;
+export const MERGE_HERE = 1; // changed only in mine
+export const MERGE_THERE = 2; // changed only in theirs (applied by a merge)
+export const MERGE_SAME = 3; // changed identically on both sides
+export const MERGE_CONFLICT = 4; // changed differently on both sides
+
+// Codes that are edits; a value-only change (same formula, recalculated) is not something to merge
+function isEdit(code, codes) {
+  return code !== codes.CODE_NONE && code !== codes.CODE_VALUE;
+}
+
+// Map absolute ancestor lines to absolute current lines along one axis of a sheet diff; -1 when the line was
+// deleted. Lines past the ancestor's content (blank there) follow the last matched line, so edits appended
+// below or right of the ancestor's data still land next to it.
+function ancestorAxis(sheetDiff, axis, ancestorEnd) {
+  const n = axis === "row" ? sheetDiff.rows : sheetDiff.cols;
+  const base = axis === "row" ? sheetDiff.rowBase : sheetDiff.colBase;
+  const map = axis === "row" ? sheetDiff.rowMap : sheetDiff.colMap;
+  if (!map) return (abs) => abs;
+  const inv = new Int32Array(n).fill(-1);
+  for (let i = 0; i < n; i++) if (map[i] >= 0) inv[map[i]] = i;
+  const follow = (l) => {
+    let p = Math.min(l, n) - 1;
+    while (p >= 0 && inv[p] < 0) p--;
+    return p < 0 ? base + l : base + inv[p] + (l - p);
+  };
+  return (abs) => {
+    const l = abs - base;
+    if (l < 0) return abs;
+    if (l >= n) return follow(l);
+    if (inv[l] >= 0) return base + inv[l];
+    return abs >= ancestorEnd ? follow(l) : -1;
+  };
+}
+
+function sheetIndex(model, name) {
+  return model.sheets.findIndex((s) => s.name === name);
+}
+
+// Current sheet name paired with each ancestor sheet name in a diff against the ancestor
+function namesByAncestor(diff) {
+  const out = new Map();
+  for (const [name, sheetDiff] of Object.entries(diff.bySheet)) out.set(sheetDiff.baseName || name, name);
+  return out;
+}
+
+// Whether an absolute cell of a sheet diff is spilled from a changed spill's anchor (see arrays.js): Excel fills it
+// from the anchor's formula, so it is merged with the anchor rather than written
+function isSpilledCell(sheetDiff, row, col) {
+  return (sheetDiff.arrays || []).some(
+    (a) =>
+      a.kind === "spill" &&
+      row >= a.area.r1 &&
+      row <= a.area.r2 &&
+      col >= a.area.c1 &&
+      col <= a.area.c2 &&
+      (row !== a.row || col !== a.col)
+  );
+}
+
+function mergeSheet(ancestor, anc, mine, mineName, theirs, theirsName, diffMine, diffTheirs, opts) {
+  const codes = diffMine.codes;
+  const ai = sheetIndex(ancestor, anc);
+  const mi = sheetIndex(mine, mineName);
+  const ti = sheetIndex(theirs, theirsName);
+  const dm = diffMine.bySheet[mineName];
+  const dt = diffTheirs.bySheet[theirsName];
+  const ancSheet = ancestor.sheets[ai];
+  const rowToMine = ancestorAxis(dm, "row", (ancSheet.rowOffset || 0) + (ancSheet.rowCount || 0));
+  const colToMine = ancestorAxis(dm, "col", (ancSheet.colOffset || 0) + (ancSheet.columnCount || 0));
+
+  const entries = new Map(); // "row,col" (mine, absolute) -> entry
+  const counts = { here: 0, there: 0, same: 0, conflict: 0 };
+  const notes = [];
+  const add = (entry) => {
+    entries.set(`${entry.row},${entry.col}`, entry);
+    if (entry.kind === MERGE_HERE) counts.here++;
+    else if (entry.kind === MERGE_THERE) counts.there++;
+    else if (entry.kind === MERGE_SAME) counts.same++;
+    else counts.conflict++;
+  };
+
+  // Edits in theirs, placed in mine through the ancestor
+  let skippedInserted = 0;
+  let skippedDeleted = 0;
+  for (const [i, code] of dt.cells) {
+    const r = Math.floor(i / dt.cols);
+    const c = i % dt.cols;
+    if (!isEdit(code, codes) || isSpilledCell(dt, dt.rowBase + r, dt.colBase + c)) continue;
+    const br = dt.rowMap ? dt.rowMap[r] : r;
+    const bc = dt.colMap ? dt.colMap[c] : c;
+    if (br < 0 || bc < 0) {
+      // Inside a row/column inserted in theirs: no ancestor cell to place it by
+      skippedInserted++;
+      continue;
+    }
+    const ancRow = dt.rowBase + br;
+    const ancCol = dt.colBase + bc;
+    const row = rowToMine(ancRow);
+    const col = colToMine(ancCol);
+    const base = cellAt(ancestor, ai, ancRow, ancCol);
+    const their = cellAt(theirs, ti, dt.rowBase + r, dt.colBase + c);
+    if (row < 0 || col < 0) {
+      skippedDeleted++;
+      continue;
+    }
+    const own = cellAt(mine, mi, row, col);
+    let kind = MERGE_THERE;
+    if (isEdit(classifyCell(own, base, opts), codes)) {
+      kind = isEdit(classifyCell(own, their, opts), codes) ? MERGE_CONFLICT : MERGE_SAME;
+    }
+    add({ row, col, kind, mine: own, theirs: their, ancestor: base });
+  }
+  if (skippedInserted) {
+    notes.push(`${skippedInserted} cell(s) in rows or columns inserted only in theirs were not merged`);
+  }
+  if (skippedDeleted) {
+    notes.push(`${skippedDeleted} cell(s) edited in theirs sit in rows or columns deleted here; not merged`);
+  }
+  for (const text of describeStructure(dt.structure)) notes.push(`theirs: ${text}`);
+
+  // Remaining edits in mine
+  for (const [i, code] of dm.cells) {
+    if (!isEdit(code, codes)) continue;
+    const row = dm.rowBase + Math.floor(i / dm.cols);
+    const col = dm.colBase + (i % dm.cols);
+    if (entries.has(`${row},${col}`) || isSpilledCell(dm, row, col)) continue;
+    add({ row, col, kind: MERGE_HERE });
+  }
+
+  return { name: mineName, theirsName, ancestorName: anc, entries: Array.from(entries.values()), counts, notes };
+}
+
+// Merge theirs into mine against their common ancestor. Options are those of diffWorkbooks (comparison
+// options, keyColumns and sheetMap apply to both sides).
+// Returns { bySheet: { [mineSheetName]: { name, theirsName, ancestorName, entries, counts, notes } }, notes,
+// counts }. Entries are { row, col, kind } in mine's absolute coordinates; MERGE_THERE and MERGE_CONFLICT
+// entries also carry the mine, theirs and ancestor cells. Sheet-level changes only produce notes.
+export function mergeWorkbooks(ancestor, mine, theirs, options = {}) {
+  // Merging writes values and formulas only, so number formats and styles are not compared
+  const contentOnly = { ...options, numberFormats: false, styles: false };
+  const opts = normalizeCompareOptions(contentOnly);
+  const diffMine = diffWorkbooks(mine, ancestor, contentOnly);
+  const diffTheirs = diffWorkbooks(theirs, ancestor, contentOnly);
+  const mineByAnc = namesByAncestor(diffMine);
+  const theirsByAnc = namesByAncestor(diffTheirs);
+
+  const bySheet = {};
+  const notes = [];
+  const counts = { here: 0, there: 0, same: 0, conflict: 0 };
+  for (const sh of ancestor.sheets) {
+    const mineName = mineByAnc.get(sh.name);
+    const theirsName = theirsByAnc.get(sh.name);
+    if (!mineName && !theirsName) notes.push(`Sheet ${sh.name} was removed on both sides`);
+    else if (!theirsName) notes.push(`Sheet ${sh.name} was removed in theirs; not merged`);
+    else if (!mineName) notes.push(`Sheet ${sh.name} was removed here but still exists in theirs`);
+    if (!mineName || !theirsName) continue;
+    const merged = mergeSheet(ancestor, sh.name, mine, mineName, theirs, theirsName, diffMine, diffTheirs, opts);
+    bySheet[mineName] = merged;
+    for (const key of Object.keys(counts)) counts[key] += merged.counts[key];
+  }
+  for (const [name, status] of Object.entries(diffTheirs.sheetStatus)) {
+    if (status === "added") notes.push(`Sheet ${name} was added in theirs; not merged`);
+  }
+  return { bySheet, notes, counts };
+}
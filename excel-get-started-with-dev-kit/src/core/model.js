@@ -1,101 +1,564 @@
 /* eslint-disable office-addins/load-object-before-read */
 /* global Excel */
+import {
+  conditionalFormatText,
+  isOverlayRule,
+  MAX_COLS,
+  MAX_ROWS,
+  normalizeRanges,
+  parseArea,
+  validationText,
+} from "./rules";
+import { dateHint, normalizeDateValue } from "./dates";
+import { setSparseCell } from "./sparse";
+import { CELL_STYLE_PROPERTIES, STYLE_GROUPS, styleFromCellProperties } from "./styles";
+import { isBuiltInName, nameFormula } from "./workbook-meta";
+import { throwIfAborted } from "./compare-client";
 
-// Build a lightweight, serializable snapshot of the current workbook.
+// Cells requested per context.sync(); with the five properties loaded per cell (values, formulas in A1 and R1C1,
+// value types, number formats) this keeps each response well under the Office payload limits (about 5 MB on the web)
+export const CAPTURE_CHUNK_CELLS = 50000;
+// Cells per context.sync() when styles are captured too: each cell then carries some twenty format properties
+export const STYLE_CHUNK_CELLS = 10000;
+// Ranges probed per sheet when locating data validation (see captureValidation); a sheet needing more has its
+// validation left uncaptured rather than read in part
+export const MAX_VALIDATION_PROBES = 2000;
+// Ranges probed per sheet and axis when locating hidden rows and columns (see captureHiddenLines)
+export const MAX_HIDDEN_PROBES = 2000;
+// Formula cells probed per sheet for spill ranges (see captureSpills)
+export const MAX_SPILL_PROBES = 2000;
+
+// Zero-based top-left { row, col } of a range address such as 'Sheet1!B2:D10' (A1 when it cannot be parsed)
+function rangeOrigin(address) {
+  let addr = Array.isArray(address) ? address[0] : address;
+  if (typeof addr !== "string" || !addr) return { row: 0, col: 0 };
+  const excl = addr.lastIndexOf("!"); // strip sheet name if present
+  addr = excl >= 0 ? addr.slice(excl + 1) : addr;
+  const first = addr.includes(":") ? addr.split(":")[0] : addr;
+  const m = /^\$?([A-Za-z]+)\$?(\d+)$/.exec(first);
+  if (!m) return { row: 0, col: 0 };
+  const letters = m[1].toUpperCase();
+  let c = 0;
+  for (let i = 0; i < letters.length; i++) {
+    c = c * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return { row: Math.max(0, parseInt(m[2], 10) - 1), col: Math.max(0, c - 1) };
+}
+
+// Excel tables on the given worksheets, as model.tables entries (see tables.js)
+async function captureTables(context, worksheets) {
+  const collections = worksheets.map((ws) => ws.tables);
+  collections.forEach((c) => c.load("items/name,items/showHeaders,items/showTotals"));
+  await context.sync();
+  const loaded = [];
+  collections.forEach((c, i) => {
+    for (const table of c.items || []) {
+      const range = table.getRange();
+      range.load("address");
+      table.columns.load("items/name");
+      loaded.push({ table, range, sheet: worksheets[i].name });
+    }
+  });
+  if (!loaded.length) return [];
+  await context.sync();
+  return loaded.map(({ table, range, sheet }) => {
+    const address = String((Array.isArray(range.address) ? range.address[0] : range.address) || "");
+    return {
+      name: table.name,
+      sheet,
+      range: address.slice(address.lastIndexOf("!") + 1).replace(/\$/g, ""),
+      headers: (table.columns.items || []).map((col) => col.name),
+      showHeaders: Boolean(table.showHeaders),
+      showTotals: Boolean(table.showTotals),
+    };
+  });
+}
+
+// Conditional format sub-object holding the rule, by ConditionalFormatType
+const CF_DETAILS = {
+  CellValue: "cellValue",
+  Custom: "custom",
+  ContainsText: "textComparison",
+  TopBottom: "topBottom",
+  PresetCriteria: "preset",
+};
+
+// A loaded conditional format as the rule conditionalFormatText reads
+function conditionalFormatRule(cf) {
+  const type = cf.type.charAt(0).toLowerCase() + cf.type.slice(1);
+  const detail = CF_DETAILS[cf.type] ? cf[CF_DETAILS[cf.type]] : null;
+  const rule = (detail && detail.rule) || {};
+  switch (cf.type) {
+    case "CellValue":
+      return { type, operator: rule.operator, formula1: rule.formula1, formula2: rule.formula2 };
+    case "Custom":
+      return { type, formula: rule.formula };
+    case "ContainsText":
+      return { type, operator: rule.operator, text: rule.text };
+    case "TopBottom":
+      return { type, rank: rule.rank, bottom: /^Bottom/.test(rule.type), percent: /Percent$/.test(rule.type) };
+    case "PresetCriteria":
+      return { type, criterion: rule.criterion };
+    default:
+      return { type };
+  }
+}
+
+// Conditional formats of each worksheet (see rules.js), leaving out the add-in's own overlays
+async function captureConditionalFormats(context, worksheets, overlayColors) {
+  const collections = worksheets.map((ws) => ws.getRange().conditionalFormats);
+  collections.forEach((c) => c.load("items/type"));
+  await context.sync();
+  const loaded = collections.map((c) =>
+    (c.items || []).map((cf) => {
+      const ranges = cf.getRanges();
+      ranges.load("address");
+      const detail = CF_DETAILS[cf.type];
+      if (detail) cf[detail].load("rule");
+      if (detail === "cellValue" || detail === "custom") cf[detail].format.fill.load("color");
+      return { cf, ranges };
+    })
+  );
+  await context.sync();
+  return loaded.map((list) =>
+    list
+      .map(({ cf, ranges }) => {
+        const rule = conditionalFormatRule(cf);
+        const detail = cf.type === "CellValue" || cf.type === "Custom" ? cf[CF_DETAILS[cf.type]] : null;
+        const fill = detail ? detail.format.fill.color : null;
+        // Without a fill to go by, the rules overlays are created with identify them
+        if (isOverlayRule({ ...rule, fill }, overlayColors, { matchRuleTypes: !fill })) return null;
+        return { type: rule.type, range: normalizeRanges([ranges.address]), text: conditionalFormatText(rule) };
+      })
+      .filter(Boolean)
+  );
+}
+
+// A loaded DataValidationRule as the rule validationText reads; exactly one of its members is set
+function validationRule(rule) {
+  const [type, spec] = Object.entries(rule || {}).find(([, v]) => v && typeof v === "object") || [];
+  return type ? { type, ...spec } : null;
+}
+
+// Data validation of each worksheet (see rules.js). The API reads validation per range only, so each sheet is
+// probed from the whole grid down: ranges whose cells disagree are halved until every piece holds one rule or
+// none, one sync per level for all sheets. Validation without a rule (the callouts' input prompts) is skipped.
+// A sheet needing more than MAX_VALIDATION_PROBES ranges is left uncaptured (null).
+async function captureValidation(context, worksheets) {
+  const found = worksheets.map(() => []);
+  const probes = worksheets.map(() => 1);
+  let pending = worksheets.map((ws, s) => ({ s, r1: 0, c1: 0, r2: MAX_ROWS - 1, c2: MAX_COLS - 1 }));
+  while (pending.length) {
+    const probed = pending.map((p) => {
+      const validation = worksheets[p.s].getRangeByIndexes(p.r1, p.c1, p.r2 - p.r1 + 1, p.c2 - p.c1 + 1).dataValidation;
+      validation.load("type");
+      return { ...p, validation };
+    });
+    // eslint-disable-next-line office-addins/no-context-sync-in-loop
+    await context.sync();
+    pending = [];
+    for (const p of probed) {
+      const { s, r1, c1, r2, c2, validation } = p;
+      if (!found[s] || validation.type === Excel.DataValidationType.none) continue;
+      if (
+        validation.type === Excel.DataValidationType.inconsistent ||
+        validation.type === Excel.DataValidationType.mixedCriteria
+      ) {
+        probes[s] += 2;
+        if (probes[s] > MAX_VALIDATION_PROBES) {
+          found[s] = null;
+          continue;
+        }
+        if (r2 - r1 >= c2 - c1) {
+          const mid = r1 + Math.floor((r2 - r1) / 2);
+          pending.push({ s, r1, c1, r2: mid, c2 }, { s, r1: mid + 1, c1, r2, c2 });
+        } else {
+          const mid = c1 + Math.floor((c2 - c1) / 2);
+          pending.push({ s, r1, c1, r2, c2: mid }, { s, r1, c1: mid + 1, r2, c2 });
+        }
+      } else {
+        validation.load("rule");
+        found[s].push(p);
+      }
+    }
+  }
+  await context.sync();
+  return found.map((pieces) => {
+    if (!pieces) return null;
+    const byText = new Map();
+    for (const { r1, c1, r2, c2, validation } of pieces) {
+      const rule = validationRule(validation.rule);
+      if (!rule) continue;
+      const text = validationText(rule);
+      byText.set(text, (byText.get(text) || []).concat({ r1, c1, r2, c2 }));
+    }
+    return [...byText].map(([text, areas]) => ({ range: normalizeRanges(areas), text }));
+  });
+}
+
+// Conditional formats and data validation per worksheet; both null for a sheet when the host cannot read them
+async function captureRules(context, worksheets, overlayColors) {
+  const colors = new Set(overlayColors.map((c) => String(c).toUpperCase()));
+  let conditionalFormats = worksheets.map(() => null);
+  let dataValidations = worksheets.map(() => null);
+  try {
+    conditionalFormats = await captureConditionalFormats(context, worksheets, colors);
+    dataValidations = await captureValidation(context, worksheets);
+  } catch (_) {
+    /* older hosts lack RangeAreas or data validation; rules are then not compared */
+  }
+  return worksheets.map((ws, i) => ({
+    conditionalFormats: conditionalFormats[i],
+    dataValidations: dataValidations[i],
+  }));
+}
+
+// Whether the workbook uses the 1904 date system: DATE(1904,1,1) is 0 there and 1462 in the 1900 system. False
+// when the host cannot evaluate it.
+export async function captureDate1904(context) {
+  try {
+    const probe = context.workbook.functions.date(1904, 1, 1);
+    probe.load("value");
+    await context.sync();
+    return probe.value === 0;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Threaded comments ("comment", ExcelApi 1.10) or notes ("note", ExcelApi 1.18) of each worksheet, as
+// comments.js entries; null when the host cannot read them
+async function captureCommentKind(context, worksheets, kind) {
+  try {
+    const collections = worksheets.map((ws) => (kind === "note" ? ws.notes : ws.comments));
+    collections.forEach((c) =>
+      c.load(kind === "note" ? "items/authorName,items/content" : "items/authorName,items/content,items/resolved")
+    );
+    await context.sync();
+    const loaded = collections.map((c) =>
+      (c.items || []).map((item) => {
+        const location = item.getLocation();
+        location.load("address");
+        if (kind === "comment") item.replies.load("items/authorName,items/content");
+        return { item, location };
+      })
+    );
+    await context.sync();
+    return loaded.map((list) =>
+      list.map(({ item, location }) => {
+        const address = String(location.address || "");
+        return {
+          address: address.slice(address.lastIndexOf("!") + 1).replace(/\$/g, ""),
+          kind,
+          author: item.authorName || null,
+          text: item.content || "",
+          resolved: kind === "comment" ? Boolean(item.resolved) : null,
+          replies:
+            kind === "comment"
+              ? (item.replies.items || []).map((r) => ({ author: r.authorName, text: r.content }))
+              : [],
+        };
+      })
+    );
+  } catch (_) {
+    return null;
+  }
+}
+
+// Spill ranges of one worksheet's dynamic array formulas (ExcelApi 1.12) as arrays.js entries, from its captured
+// sparse sheet. Spilled cells read as values, so only formula cells with a value cell to their right or below can
+// anchor a spill; a sheet with more than MAX_SPILL_PROBES of them, or a host that cannot read spills, leaves the
+// sheet uncaptured (null). Legacy array formulas cannot be told apart from per-cell formulas here.
+async function captureSpills(context, ws, sheet) {
+  const anchors = [];
+  for (const [rk, row] of Object.entries(sheet.cells)) {
+    const r = Number(rk);
+    const next = sheet.cells[r + 1];
+    for (const [ck, rec] of Object.entries(row)) {
+      const c = Number(ck);
+      if (!rec[2]) continue;
+      const right = row[c + 1];
+      const below = next ? next[c] : undefined;
+      if ((right && !right[2]) || (below && !below[2])) anchors.push({ r, c });
+    }
+  }
+  if (anchors.length > MAX_SPILL_PROBES) return null;
+  if (!anchors.length) return [];
+  try {
+    const spills = anchors.map(({ r, c }) => {
+      const cell = ws.getRangeByIndexes(sheet.rowOffset + r, sheet.colOffset + c, 1, 1);
+      const spill = cell.getSpillingToRangeOrNullObject();
+      spill.load("address");
+      return spill;
+    });
+    await context.sync();
+    return spills
+      .filter((spill) => !spill.isNullObject)
+      .map((spill) => String(spill.address || ""))
+      .map((address) => address.slice(address.lastIndexOf("!") + 1).replace(/\$/g, ""))
+      .filter((range) => range.includes(":"))
+      .map((range) => ({ range, kind: "spill" }));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Hidden rows and columns of each worksheet as { hiddenRows, hiddenColumns } range lists (see layout.js). Like
+// captureValidation, each axis is probed from the whole sheet down: rowHidden / columnHidden read null for a range
+// that is partly hidden, and such ranges are halved, one sync per level for all sheets. An axis needing more than
+// MAX_HIDDEN_PROBES ranges is left uncaptured (null).
+async function captureHiddenLines(context, worksheets) {
+  const found = worksheets.map(() => ({ row: [], col: [] }));
+  const probes = worksheets.map(() => ({ row: 1, col: 1 }));
+  let pending = worksheets.flatMap((ws, s) => [
+    { s, axis: "row", first: 0, last: MAX_ROWS - 1 },
+    { s, axis: "col", first: 0, last: MAX_COLS - 1 },
+  ]);
+  while (pending.length) {
+    const probed = pending.map((p) => {
+      const n = p.last - p.first + 1;
+      const ws = worksheets[p.s];
+      const range = p.axis === "row" ? ws.getRangeByIndexes(p.first, 0, n, 1) : ws.getRangeByIndexes(0, p.first, 1, n);
+      range.load(p.axis === "row" ? "rowHidden" : "columnHidden");
+      return { ...p, range };
+    });
+    // eslint-disable-next-line office-addins/no-context-sync-in-loop
+    await context.sync();
+    pending = [];
+    for (const { s, axis, first, last, range } of probed) {
+      if (!found[s][axis]) continue;
+      const hidden = axis === "row" ? range.rowHidden : range.columnHidden;
+      if (hidden === true) {
+        found[s][axis].push(
+          axis === "row"
+            ? { r1: first, c1: 0, r2: last, c2: MAX_COLS - 1 }
+            : { r1: 0, c1: first, r2: MAX_ROWS - 1, c2: last }
+        );
+      } else if (hidden !== false) {
+        probes[s][axis] += 2;
+        if (probes[s][axis] > MAX_HIDDEN_PROBES) {
+          found[s][axis] = null;
+          continue;
+        }
+        const mid = first + Math.floor((last - first) / 2);
+        pending.push({ s, axis, first, last: mid }, { s, axis, first: mid + 1, last });
+      }
+    }
+  }
+  return found.map(({ row, col }) => ({
+    hiddenRows: row ? normalizeRanges(row) : null,
+    hiddenColumns: col ? normalizeRanges(col) : null,
+  }));
+}
+
+// Frozen { rows, columns } from the address of a worksheet's frozen range ("$A$1:$B$2", "$1:$2", "$A:$B"), or
+// none when there is no frozen range
+function freezeFromLocation(location) {
+  const rect = location.isNullObject ? null : parseArea(String(location.address || ""));
+  if (!rect) return { rows: 0, columns: 0 };
+  const allRows = rect.r1 === 0 && rect.r2 === MAX_ROWS - 1;
+  const allColumns = rect.c1 === 0 && rect.c2 === MAX_COLS - 1;
+  return { rows: allRows ? 0 : rect.r2 - rect.r1 + 1, columns: allColumns ? 0 : rect.c2 - rect.c1 + 1 };
+}
+
+// Freeze panes, hidden rows and columns, and merged areas of each worksheet (see layout.js); parts the host cannot
+// read stay null
+async function captureLayout(context, worksheets) {
+  const layouts = worksheets.map(() => ({ merges: null, hiddenRows: null, hiddenColumns: null, freeze: null }));
+  try {
+    const frozen = worksheets.map((ws) => ws.freezePanes.getLocationOrNullObject());
+    frozen.forEach((f) => f.load("address"));
+    await context.sync();
+    frozen.forEach((f, i) => (layouts[i].freeze = freezeFromLocation(f)));
+    const lines = await captureHiddenLines(context, worksheets);
+    lines.forEach((l, i) => Object.assign(layouts[i], l));
+    const merged = worksheets.map((ws) => ws.getRange().getMergedAreasOrNullObject());
+    merged.forEach((m) => m.load("areas/items/address"));
+    await context.sync();
+    merged.forEach((m, i) => {
+      const areas = m.isNullObject ? [] : m.areas.items || [];
+      layouts[i].merges = areas.map((area) => {
+        const address = String(area.address || "");
+        return address.slice(address.lastIndexOf("!") + 1).replace(/\$/g, "");
+      });
+    });
+  } catch (_) {
+    /* merged areas need ExcelApi 1.13; what was read before is kept */
+  }
+  return layouts;
+}
+
+// Build a lightweight, serializable snapshot of the current workbook, with sparse sheets (see sparse.js).
+// Sheets are read in blocks of rows (see CAPTURE_CHUNK_CELLS) so large used ranges stay under the host's
+// payload limits.
 // Options:
-// - includeHidden: include hidden sheets (default: false)
-// - maxCellsPerSheet: cap cells per sheet for safety/perf (default: null = unlimited)
+// - includeHidden: include hidden and very hidden sheets (default: false); model.includesHidden records it
+// - includeNumberFormats: also capture each cell's number format (default: false); sets model.numberFormats
+// - includeStyles: also capture each non-blank cell's font, fill, borders and alignment (default: false); sets
+//   model.styles to the captured groups (see styles.js)
+// - includeLayout: also capture merged areas, hidden rows and columns, and freeze panes (default: false); sets
+//   model.layout and each sheet's layout (see layout.js)
+// - overlayColors: fills ("#RRGGBB") of the add-in's highlight overlays, left out of captured conditional formats
+// - maxCellsPerSheet: cap cells per sheet (default: null = unlimited). Capped sheets keep their first rows and
+//   carry `truncated: { capturedRows, totalRows }`; their names are listed in model.truncatedSheets.
+// - onProgress({ phase: "capture", sheet, done, total, sheetIndex, sheetCount }): called after each block,
+//   with done/total counted in rows of that sheet
+// - signal: AbortSignal that cancels the capture; checked before each block and each sheet's extra reads, so the
+//   capture rejects with an AbortError (see isCancelled in compare-client.js) within one block of the abort
+// model.workbook holds defined names, tab order and visibility of all sheets (see workbook-meta.js); model.tables
+// the Excel tables on the captured sheets (see tables.js). Sheets carry their conditional formats and data
+// validation (see rules.js), and their notes and threaded comments (see comments.js); model.commentKinds lists
+// which of the two the host could read. Sheets also carry their dynamic array spill ranges (see arrays.js); legacy
+// array formulas are not told apart, so model.arrayKinds is ["spill"]. Dates and times are 1900-system serials with
+// their number format kept as a hint even when number formats are not captured; model.date1904 records the
+// workbook's date system (see dates.js).
 export async function buildWorkbookModel(options = {}) {
-  const { includeHidden = false, maxCellsPerSheet = null } = options;
+  const {
+    includeHidden = false,
+    includeNumberFormats = false,
+    includeStyles = false,
+    includeLayout = false,
+    overlayColors = [],
+    maxCellsPerSheet = null,
+    onProgress = null,
+    signal = null,
+  } = options;
 
+  throwIfAborted(signal);
   return Excel.run(async (context) => {
     const wb = context.workbook;
     const worksheets = wb.worksheets;
     worksheets.load("items/name,items/visibility");
+    // Font name and size of plain cells, left out of captured styles
+    const normal = includeStyles ? wb.styles.getItemOrNullObject("Normal") : null;
+    if (normal) normal.load("font/name,font/size");
     await context.sync();
+    const styleDefaults =
+      normal && !normal.isNullObject ? { fontName: normal.font.name, fontSize: normal.font.size } : {};
 
     const items = (worksheets.items || []).filter(
-      (ws) => includeHidden || ws.visibility !== Excel.SheetVisibility.hidden
+      (ws) => includeHidden || ws.visibility === Excel.SheetVisibility.visible
     );
 
     const model = {
       name: "CurrentWorkbook",
       sheets: [],
+      truncatedSheets: [],
+      includesHidden: Boolean(includeHidden),
+      numberFormats: Boolean(includeNumberFormats),
+      styles: includeStyles ? Object.keys(STYLE_GROUPS) : null,
+      layout: Boolean(includeLayout),
+      date1904: false,
+      tables: [],
+      commentKinds: [],
+      arrayKinds: ["spill"],
+      workbook: {
+        sheets: (worksheets.items || []).map((ws) => ({ name: ws.name, visibility: ws.visibility })),
+        names: [],
+      },
     };
 
-    // Load used ranges (valuesOnly) for all sheets first.
+    // Used-range extents (valuesOnly) for all sheets first; cell data is paged below.
     // valuesOnly=true ignores formatting-only regions (e.g., conditional formats),
     // preventing Mac Excel from shifting the used range start to A1.
     const usedRanges = items.map((ws) => ws.getUsedRangeOrNullObject(true));
-    usedRanges.forEach((r) => r.load(["rowCount", "columnCount", "values", "formulas", "valueTypes", "address"]));
+    usedRanges.forEach((r) => r.load(["rowCount", "columnCount", "address"]));
+    // Defined names: workbook scope, then each sheet's own (hidden sheets included)
+    const nameScopes = [{ scope: null, names: wb.names }].concat(
+      (worksheets.items || []).map((ws) => ({ scope: ws.name, names: ws.names }))
+    );
+    nameScopes.forEach((s) => s.names.load("items/name,items/formula,items/visible"));
     await context.sync();
+    for (const { scope, names } of nameScopes) {
+      for (const n of names.items || []) {
+        if (n.visible === false || isBuiltInName(n.name)) continue;
+        model.workbook.names.push({ name: n.name, scope, formula: nameFormula(n.formula) });
+      }
+    }
+    throwIfAborted(signal);
+    model.date1904 = await captureDate1904(context);
+    model.tables = await captureTables(context, items);
+    const rules = await captureRules(context, items, overlayColors);
+    const threads = await captureCommentKind(context, items, "comment");
+    const notes = await captureCommentKind(context, items, "note");
+    model.commentKinds = [threads && "comment", notes && "note"].filter(Boolean);
+    const layouts = includeLayout ? await captureLayout(context, items) : null;
+    throwIfAborted(signal);
 
     for (let idx = 0; idx < items.length; idx++) {
       const ws = items[idx];
       const used = usedRanges[idx];
 
-      let rowCount = used.isNullObject ? 0 : used.rowCount || 0;
-      let columnCount = used.isNullObject ? 0 : used.columnCount || 0;
-
-      // Safety cap: limit rows if over the max cell threshold
+      const totalRows = used.isNullObject ? 0 : used.rowCount || 0;
+      const columnCount = used.isNullObject ? 0 : used.columnCount || 0;
+      let rowCount = totalRows;
       if (rowCount && columnCount && maxCellsPerSheet && rowCount * columnCount > maxCellsPerSheet) {
         rowCount = Math.max(1, Math.floor(maxCellsPerSheet / Math.max(1, columnCount)));
       }
 
-      let values = [];
-      let formulas = [];
-      let valueTypes = [];
-      let rowOffset = 0; // zero-based start row of used range relative to A1
-      let colOffset = 0; // zero-based start column of used range relative to A1
-
-      if (rowCount && columnCount && !used.isNullObject) {
-        const v = used.values || [];
-        const f = used.formulas || [];
-        const t = used.valueTypes || [];
-        values = v.slice(0, rowCount).map((r) => (r || []).slice(0, columnCount));
-        formulas = f
-          .slice(0, rowCount)
-          .map((r) => (r || []).slice(0, columnCount).map((c) => (typeof c === "string" ? c : null)));
-        valueTypes = t.slice(0, rowCount).map((r) => (r || []).slice(0, columnCount));
-        // Derive the top-left offset from the used range address (e.g., 'Sheet1!B2:D10')
-        // We only need the starting cell to translate our local arrays back to absolute A1 coordinates.
-        try {
-          let addr = used.address;
-          if (Array.isArray(addr)) addr = addr[0];
-          if (typeof addr === "string" && addr) {
-            const excl = addr.lastIndexOf("!"); // strip sheet name if present
-            const local = excl >= 0 ? addr.slice(excl + 1) : addr;
-            const first = local.includes(":") ? local.split(":")[0] : local;
-            const m = /^\$?([A-Za-z]+)\$?(\d+)$/.exec(first);
-            if (m) {
-              const letters = m[1].toUpperCase();
-              const rowNum = parseInt(m[2], 10);
-              let c = 0;
-              for (let i = 0; i < letters.length; i++) {
-                c = c * 26 + (letters.charCodeAt(i) - 64);
-              }
-              // Convert to zero-based
-              colOffset = Math.max(0, c - 1);
-              rowOffset = Math.max(0, rowNum - 1);
-            }
-          }
-        } catch (_) {
-          // If parsing fails, keep offsets at 0 which corresponds to A1
-        }
-      }
+      // Offsets map the 0-based indices of the used-range arrays back to absolute worksheet coordinates
+      // (A1 origin), so diffs overlay correctly
+      const origin = rowCount && columnCount ? rangeOrigin(used.address) : { row: 0, col: 0 };
 
-      model.sheets.push({
+      const sheet = {
         name: ws.name,
+        visibility: ws.visibility,
         rowCount,
         columnCount,
-        // Offsets allow us to map the 0-based indices of the used-range arrays
-        // back to absolute worksheet coordinates (A1 origin), so diffs overlay correctly
-        rowOffset,
-        colOffset,
-        values,
-        formulas,
-        valueTypes,
-      });
+        rowOffset: origin.row,
+        colOffset: origin.col,
+        cells: {},
+        ...rules[idx],
+        comments: [...(threads ? threads[idx] : []), ...(notes ? notes[idx] : [])],
+        layout: layouts ? layouts[idx] : null,
+        arrays: null,
+      };
+      const chunkCells = includeStyles ? STYLE_CHUNK_CELLS : CAPTURE_CHUNK_CELLS;
+      const rowsPerChunk = Math.max(1, Math.floor(chunkCells / Math.max(1, columnCount)));
+      for (let start = 0; start < rowCount && columnCount; start += rowsPerChunk) {
+        throwIfAborted(signal);
+        const n = Math.min(rowsPerChunk, rowCount - start);
+        const block = ws.getRangeByIndexes(origin.row + start, origin.col, n, columnCount);
+        // Number formats are read even when not compared: they tell dates apart (see dates.js)
+        block.load(["values", "formulas", "formulasR1C1", "valueTypes", "numberFormat"]);
+        const props = includeStyles ? block.getCellProperties(CELL_STYLE_PROPERTIES) : null;
+        // eslint-disable-next-line office-addins/no-context-sync-in-loop
+        await context.sync();
+        for (let i = 0; i < n; i++) {
+          const v = (block.values || [])[i] || [];
+          const f = (block.formulas || [])[i] || [];
+          // Relative-reference form, for formula equivalence across positions
+          const fr = (block.formulasR1C1 || [])[i] || [];
+          const t = (block.valueTypes || [])[i] || [];
+          const nf = (block.numberFormat || [])[i] || [];
+          const cp = props ? props.value[i] || [] : [];
+          for (let j = 0; j < columnCount; j++) {
+            const value = v[j] === undefined ? null : normalizeDateValue(v[j], nf[j], model.date1904);
+            const r1c1 = typeof fr[j] === "string" ? fr[j] : null;
+            const style = props ? styleFromCellProperties(cp[j], styleDefaults) : null;
+            const format = includeNumberFormats ? nf[j] : dateHint(nf[j]);
+            setSparseCell(sheet, start + i, j, value, t[j] || "Empty", f[j], r1c1, format, style);
+          }
+        }
+        if (onProgress) {
+          onProgress({
+            phase: "capture",
+            sheet: ws.name,
+            done: start + n,
+            total: rowCount,
+            sheetIndex: idx,
+            sheetCount: items.length,
+          });
+        }
+      }
+
+      throwIfAborted(signal);
+      sheet.arrays = await captureSpills(context, ws, sheet);
+      if (rowCount < totalRows) {
+        sheet.truncated = { capturedRows: rowCount, totalRows };
+        model.truncatedSheets.push(ws.name);
+      }
+      model.sheets.push(sheet);
     }
 
     return model;
@@ -0,0 +1,289 @@
+// Moved blocks: a rectangle of added cells whose content matches a rectangle of vacated baseline cells on the
+// same sheet or another sheet is reported as one move instead of separate additions and removals.
+import { hashString } from "./align";
+import { cellAt, cellKey, cellAddress, isBlankCell, quoteSheetName } from "./cells";
+import { forEachCell } from "./sparse";
+
+// Smallest block (non-blank cells) reported as a move; single cells would pair up by coincidence
+export const MIN_MOVE_CELLS = 2;
+
+// Vacated-mask states (baseline cells that are gone from the current sheet)
+const VACATED = 1;
+const MOVED_AWAY = 2;
+
+function rangeText(rect) {
+  const a = cellAddress(rect.r1, rect.c1);
+  const b = cellAddress(rect.r2, rect.c2);
+  return a === b ? a : `${a}:${b}`;
+}
+
+// Sheet-qualified A1 range
+export function sheetRange(sheet, rect) {
+  return `${quoteSheetName(sheet)}!${rangeText(rect)}`;
+}
+
+// 8-connected components of the set cells of a rows x cols mask (a Map of row-major index -> state holding the set
+// cells only), as bounding boxes in mask coordinates, in row-major order of their first cell
+function blocksOf(mask, rows, cols) {
+  const seen = new Set();
+  const blocks = [];
+  for (const start of Array.from(mask.keys()).sort((x, y) => x - y)) {
+    if (seen.has(start)) continue;
+    const box = { r1: rows, c1: cols, r2: -1, c2: -1 };
+    const stack = [start];
+    seen.add(start);
+    while (stack.length) {
+      const i = stack.pop();
+      const r = Math.floor(i / cols);
+      const c = i % cols;
+      box.r1 = Math.min(box.r1, r);
+      box.c1 = Math.min(box.c1, c);
+      box.r2 = Math.max(box.r2, r);
+      box.c2 = Math.max(box.c2, c);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nr = r + dr;
+          const nc = c + dc;
+          if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+          const j = nr * cols + nc;
+          if (mask.has(j) && !seen.has(j)) {
+            seen.add(j);
+            stack.push(j);
+          }
+        }
+      }
+    }
+    blocks.push(box);
+  }
+  return blocks;
+}
+
+// Local baseline index -> local current index along one axis of a sheet diff, -1 when the line was deleted
+function inverseMap(map, n) {
+  const inv = new Int32Array(n).fill(-1);
+  for (let i = 0; i < n; i++) {
+    const j = map ? map[i] : i;
+    if (j >= 0 && j < n) inv[j] = i;
+  }
+  return inv;
+}
+
+function normFormula(f) {
+  return typeof f === "string" ? f.trim().toUpperCase() : "";
+}
+
+// Cells of a block (absolute origin row/col, h x w) read from one model sheet
+function readBlock(model, sidx, row, col, h, w) {
+  const out = [];
+  for (let r = 0; r < h; r++) {
+    for (let c = 0; c < w; c++) out.push(cellAt(model, sidx, row + r, col + c));
+  }
+  return out;
+}
+
+// Content signature of a block: size plus calculated values, so candidates are bucketed before cell checks
+function blockSignature(block, h, w, opts) {
+  const keys = block.map((cell) => cellKey(cell, opts.whitespace, opts.caseSensitive));
+  return `${h}x${w}:${hashString(keys.join("\u0001"))}`;
+}
+
+// Same content cell by cell; formulas match when either the A1 text (cut and paste keeps references
+// pointing at the same cells) or the relative R1C1 form (copied formulas) is the same
+function sameBlock(a, b, opts) {
+  for (let i = 0; i < a.length; i++) {
+    if (cellKey(a[i], opts.whitespace, opts.caseSensitive) !== cellKey(b[i], opts.whitespace, opts.caseSensitive)) {
+      return false;
+    }
+    const fa = normFormula(a[i].f);
+    const fb = normFormula(b[i].f);
+    if (fa !== fb && normFormula(a[i].r1c1) !== normFormula(b[i].r1c1)) return false;
+  }
+  return true;
+}
+
+function filled(block) {
+  let n = 0;
+  for (const cell of block) if (!isBlankCell(cell)) n++;
+  return n;
+}
+
+// Baseline cells of a sheet diff that are gone from the current sheet: removed cells, plus the content of
+// deleted rows and columns (a block moved sideways often aligns as deleted and inserted columns). Returns a Map of
+// box-local baseline row-major index -> VACATED, walking the baseline's non-blank cells only
+function vacatedMask(base, bi, sheetDiff, invRow, invCol, codes) {
+  const { rows, cols, rowBase, colBase, cells } = sheetDiff;
+  const sh = base.sheets[bi];
+  const dr = Math.max(0, sh.rowOffset || 0) - rowBase;
+  const dc = Math.max(0, sh.colOffset || 0) - colBase;
+  const mask = new Map();
+  forEachCell(base, bi, (lr, lc) => {
+    const br = lr + dr;
+    const bc = lc + dc;
+    if (br < 0 || bc < 0 || br >= rows || bc >= cols) return;
+    const r = invRow[br];
+    const c = invCol[bc];
+    if (r >= 0 && c >= 0 && cells.get(r * cols + c) !== codes.CODE_REMOVE) return;
+    mask.set(br * cols + bc, VACATED);
+  });
+  return mask;
+}
+
+// Values found along each line of a box-local grid (a Map of row-major index -> value), per axis:
+// { row: Map(line -> Set of values), col: ... }; lines without entries are left out
+function lineValues(grid, cols) {
+  const row = new Map();
+  const col = new Map();
+  const add = (lines, i, v) => {
+    if (!lines.has(i)) lines.set(i, new Set());
+    lines.get(i).add(v);
+  };
+  for (const [i, v] of grid) {
+    add(row, Math.floor(i / cols), v);
+    add(col, i % cols, v);
+  }
+  return { row, col };
+}
+
+// Drop inserted/deleted lines that only exist because of a move: inserted lines whose changes are all moved
+// cells, deleted lines whose content all moved elsewhere
+function pruneStructure(sheetDiff, vacated, codes) {
+  const { cols, rowBase, colBase, cells, structure } = sheetDiff;
+  const codeLines = lineValues(cells, cols);
+  const markLines = lineValues(vacated, cols);
+  const none = new Set();
+  const on = (lines, abs, axis) => lines[axis].get(abs - (axis === "row" ? rowBase : colBase)) || none;
+  // The change set holds no CODE_NONE entries, so a line of moved cells only has the one code
+  const inserted = (abs, axis) => {
+    const codesOnLine = on(codeLines, abs, axis);
+    return codesOnLine.size === 1 && codesOnLine.has(codes.CODE_MOVED);
+  };
+  const deleted = (abs, axis) => {
+    const marks = on(markLines, abs, axis);
+    return marks.has(MOVED_AWAY) && !marks.has(VACATED);
+  };
+  sheetDiff.structure = {
+    insertedRows: structure.insertedRows.filter((r) => !inserted(r, "row")),
+    deletedRows: structure.deletedRows.filter((r) => !deleted(r, "row")),
+    insertedCols: structure.insertedCols.filter((c) => !inserted(c, "col")),
+    deletedCols: structure.deletedCols.filter((c) => !deleted(c, "col")),
+  };
+}
+
+// Find moved blocks across the per-sheet diffs of one comparison and recode their cells in place:
+// destination cells (added) and vacated source cells (removed) become codes.CODE_MOVED, and rows or
+// columns that only appeared inserted/deleted because of a move leave the sheet's structure.
+// - bySheet: diffWorkbooks' per-sheet diffs, keyed by current sheet name (baseName set on renamed sheets)
+// - opts: normalized comparison options
+// - codes: { CODE_NONE, CODE_ADD, CODE_REMOVE, CODE_MOVED } from diff.js
+// Sheet diffs involved in a move get `moves`: [{ role: "to" | "from", rect, label }] (rect in absolute current
+// coordinates, label e.g. "moved from Sheet1!B5:F20"); a source that sat entirely in deleted lines has no "from"
+// entry, as nothing is left to point at. Returns [{ from: { sheet, range }, to: { sheet, range }, cells }] with
+// the source in baseline sheet coordinates.
+export function detectMoves(curr, base, bySheet, opts, codes) {
+  const sheetIndex = (model, name) => model.sheets.findIndex((s) => s.name === name);
+
+  // Vacated blocks, bucketed by signature of their baseline content
+  const sources = new Map();
+  const masks = new Map(); // current sheet name -> { invRow, invCol, vacated }
+  for (const [name, sheetDiff] of Object.entries(bySheet)) {
+    const baseName = sheetDiff.baseName || name;
+    const bi = sheetIndex(base, baseName);
+    if (bi < 0) continue;
+    const { rows, cols, rowBase, colBase } = sheetDiff;
+    const invRow = inverseMap(sheetDiff.rowMap, rows);
+    const invCol = inverseMap(sheetDiff.colMap, cols);
+    const vacated = vacatedMask(base, bi, sheetDiff, invRow, invCol, codes);
+    masks.set(name, { invRow, invCol, vacated });
+    for (const box of blocksOf(vacated, rows, cols)) {
+      const h = box.r2 - box.r1 + 1;
+      const w = box.c2 - box.c1 + 1;
+      const block = readBlock(base, bi, rowBase + box.r1, colBase + box.c1, h, w);
+      if (filled(block) < MIN_MOVE_CELLS) continue;
+      const sig = blockSignature(block, h, w, opts);
+      if (!sources.has(sig)) sources.set(sig, []);
+      sources.get(sig).push({ name, baseName, sheetDiff, box, block, used: false });
+    }
+  }
+  if (!sources.size) return [];
+
+  const note = (sheetDiff, entry) => {
+    if (!sheetDiff.moves) sheetDiff.moves = [];
+    sheetDiff.moves.push(entry);
+  };
+  // Recode a source's removed cells; returns the current-sheet bounding box of the recoded cells, or null
+  const vacate = (src) => {
+    const { cols, rowBase, colBase, cells } = src.sheetDiff;
+    const { invRow, invCol, vacated } = masks.get(src.name);
+    let rect = null;
+    for (let br = src.box.r1; br <= src.box.r2; br++) {
+      for (let bc = src.box.c1; bc <= src.box.c2; bc++) {
+        if (vacated.get(br * cols + bc) !== VACATED) continue;
+        vacated.set(br * cols + bc, MOVED_AWAY);
+        const r = invRow[br];
+        const c = invCol[bc];
+        if (r < 0 || c < 0 || cells.get(r * cols + c) !== codes.CODE_REMOVE) continue;
+        cells.set(r * cols + c, codes.CODE_MOVED);
+        const row = rowBase + r;
+        const col = colBase + c;
+        if (!rect) rect = { r1: row, c1: col, r2: row, c2: col };
+        rect = {
+          r1: Math.min(rect.r1, row),
+          c1: Math.min(rect.c1, col),
+          r2: Math.max(rect.r2, row),
+          c2: Math.max(rect.c2, col),
+        };
+      }
+    }
+    return rect;
+  };
+
+  const moves = [];
+  for (const [name, sheetDiff] of Object.entries(bySheet)) {
+    const ai = sheetIndex(curr, name);
+    if (ai < 0) continue;
+    const { rows, cols, rowBase, colBase, cells } = sheetDiff;
+    const added = new Map(Array.from(cells).filter(([, code]) => code === codes.CODE_ADD));
+    for (const box of blocksOf(added, rows, cols)) {
+      const h = box.r2 - box.r1 + 1;
+      const w = box.c2 - box.c1 + 1;
+      const row = rowBase + box.r1;
+      const col = colBase + box.c1;
+      const block = readBlock(curr, ai, row, col, h, w);
+      if (filled(block) < MIN_MOVE_CELLS) continue;
+      const candidates = (sources.get(blockSignature(block, h, w, opts)) || []).filter(
+        (s) => !s.used && sameBlock(block, s.block, opts)
+      );
+      if (!candidates.length) continue;
+      // A block moved within its own sheet is the likelier story when the same content left several places
+      const src = candidates.find((s) => s.name === name) || candidates[0];
+      src.used = true;
+
+      for (let r = box.r1; r <= box.r2; r++) {
+        for (let c = box.c1; c <= box.c2; c++) {
+          if (cells.get(r * cols + c) === codes.CODE_ADD) cells.set(r * cols + c, codes.CODE_MOVED);
+        }
+      }
+      const toRect = { r1: row, c1: col, r2: row + h - 1, c2: col + w - 1 };
+      const srcDiff = src.sheetDiff;
+      const fromRect = {
+        r1: srcDiff.rowBase + src.box.r1,
+        c1: srcDiff.colBase + src.box.c1,
+        r2: srcDiff.rowBase + src.box.r2,
+        c2: srcDiff.colBase + src.box.c2,
+      };
+      note(sheetDiff, { role: "to", rect: toRect, label: `moved from ${sheetRange(src.baseName, fromRect)}` });
+      const left = vacate(src);
+      if (left) note(srcDiff, { role: "from", rect: left, label: `moved to ${sheetRange(name, toRect)}` });
+      moves.push({
+        from: { sheet: src.baseName, range: rangeText(fromRect) },
+        to: { sheet: name, range: rangeText(toRect) },
+        cells: filled(block),
+      });
+    }
+  }
+
+  if (moves.length) {
+    for (const [name, { vacated }] of masks) pruneStructure(bySheet[name], vacated, codes);
+  }
+  return moves;
+}
@@ -0,0 +1,127 @@
+// A1 -> relative R1C1 formula conversion, so formulas are compared by the cells they point at relative
+// to their own position ("=A1*2" in B1 and "=A2*2" in B2 are both "=RC[-1]*2").
+
+const MAX_ROWS = 1048576;
+const MAX_COLS = 16384;
+
+// One reference token at the start of the text: cell (A1, $B$2), whole-column range (A:C) or whole-row range (3:5).
+// Cell ranges (A1:B2) are two cell tokens around ":" and convert endpoint by endpoint.
+const CELL_RE = /^(\$?)([A-Z]{1,3})(\$?)(\d{1,7})/i;
+const COLS_RE = /^(\$?)([A-Z]{1,3}):(\$?)([A-Z]{1,3})/i;
+const ROWS_RE = /^(\$?)(\d{1,7}):(\$?)(\d{1,7})/;
+
+function columnIndex(letters) {
+  let c = 0;
+  for (let i = 0; i < letters.length; i++) c = c * 26 + (letters.toUpperCase().charCodeAt(i) - 64);
+  return c;
+}
+
+// Characters that cannot sit right before or after a reference (function names, defined names, numbers)
+function isNameChar(ch) {
+  return ch !== undefined && /[A-Za-z0-9_.\\]/.test(ch);
+}
+
+function part(axis, absolute, index, origin) {
+  if (absolute) return `${axis}${index}`;
+  const d = index - 1 - origin;
+  return d === 0 ? axis : `${axis}[${d}]`;
+}
+
+function collapse(a, b) {
+  return a === b ? a : `${a}:${b}`;
+}
+
+const REFERENCE_PATTERNS = [
+  ["cols", COLS_RE],
+  ["rows", ROWS_RE],
+  ["cell", CELL_RE],
+];
+
+// Reference token at the start of text, mapped; null when there is none or mapRef rejects it
+function matchReference(text, mapRef) {
+  for (const [kind, re] of REFERENCE_PATTERNS) {
+    const m = re.exec(text);
+    if (!m) continue;
+    const next = text[m[0].length];
+    if (isNameChar(next) || next === "(" || next === "!") continue;
+    const replaced = mapRef({ kind, m });
+    if (replaced !== null) return { text: replaced, length: m[0].length };
+  }
+  return null;
+}
+
+// Walk the formula outside string literals, quoted sheet names and structured-reference brackets, and
+// replace each reference token with mapRef({ kind, m }); kind is "cell", "cols" or "rows".
+function mapReferences(formula, mapRef) {
+  let out = "";
+  let i = 0;
+  const n = formula.length;
+  while (i < n) {
+    const ch = formula[i];
+    if (ch === '"' || ch === "'") {
+      // String literal or quoted sheet name; doubled quotes escape
+      let j = i + 1;
+      while (j < n) {
+        if (formula[j] === ch) {
+          if (formula[j + 1] === ch) j += 2;
+          else break;
+        } else j++;
+      }
+      out += formula.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    if (ch === "[") {
+      // Structured reference (Table[Column]) or external workbook index: copied as-is
+      let depth = 0;
+      let j = i;
+      for (; j < n; j++) {
+        if (formula[j] === "[") depth++;
+        else if (formula[j] === "]" && --depth === 0) break;
+      }
+      out += formula.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    const ref = !isNameChar(formula[i - 1]) && formula[i - 1] !== "$" ? matchReference(formula.slice(i), mapRef) : null;
+    if (ref) {
+      out += ref.text;
+      i += ref.length;
+      continue;
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+// Convert an A1 formula ("=SUM(A1:A3)") at the given zero-based sheet position to relative R1C1
+// ("=SUM(R[-3]C:R[-1]C)" in A4). Non-formula input returns null.
+export function a1ToR1C1(formula, row, col) {
+  if (typeof formula !== "string" || !formula.startsWith("=")) return null;
+  return mapReferences(formula, ({ kind, m }) => {
+    if (kind === "cell") {
+      const c = columnIndex(m[2]);
+      const r = parseInt(m[4], 10);
+      if (c > MAX_COLS || r < 1 || r > MAX_ROWS) return null;
+      return part("R", m[3] === "$", r, row) + part("C", m[1] === "$", c, col);
+    }
+    if (kind === "cols") {
+      const c1 = columnIndex(m[2]);
+      const c2 = columnIndex(m[4]);
+      if (c1 > MAX_COLS || c2 > MAX_COLS) return null;
+      return collapse(part("C", m[1] === "$", c1, col), part("C", m[3] === "$", c2, col));
+    }
+    const r1 = parseInt(m[2], 10);
+    const r2 = parseInt(m[4], 10);
+    if (r1 < 1 || r2 < 1 || r1 > MAX_ROWS || r2 > MAX_ROWS) return null;
+    return collapse(part("R", m[1] === "$", r1, row), part("R", m[3] === "$", r2, row));
+  });
+}
+
+// Formula text with every reference replaced by a placeholder: two formulas with the same skeleton
+// differ only in the cells they point at.
+export function formulaSkeleton(formula) {
+  if (typeof formula !== "string") return "";
+  return mapReferences(formula.trim().toUpperCase(), () => "\u0001");
+}
@@ -0,0 +1,184 @@
+// Key-column (record-based) matching for table-like sheets.
+// Works on the per-cell key grids built by the diff engine: Maps of box-local row-major index -> key, holding
+// non-blank cells only (read them with keyAt).
+
+// Rows scanned from the top of the used range when auto-detecting the header row
+const HEADER_SCAN_ROWS = 20;
+
+// Key of one grid cell, "" when blank
+export function keyAt(keys, i) {
+  return keys.get(i) || "";
+}
+
+function isNumericKey(key) {
+  return key !== "" && !isNaN(Number(key));
+}
+
+function normHeader(text) {
+  return String(text || "")
+    .trim()
+    .toLowerCase();
+}
+
+function columnIndexFromLetters(letters) {
+  let c = 0;
+  for (let i = 0; i < letters.length; i++) c = c * 26 + (letters.charCodeAt(i) - 64);
+  return c - 1;
+}
+
+// Local rows holding at least one non-blank key
+function nonBlankRows(keys, cols) {
+  const rows = new Set();
+  for (const [i, key] of keys) if (key !== "") rows.add(Math.floor(i / cols));
+  return rows;
+}
+
+// First row (local index) in the scan window whose non-blank cells are all text, with at least two of them
+// and content below it. Falls back to the first non-blank row; -1 for an empty grid.
+export function detectHeaderRow(keys, rows, cols) {
+  // Text and other (numeric) keys per non-blank row
+  const tally = new Map();
+  for (const [i, key] of keys) {
+    const r = Math.floor(i / cols);
+    if (key === "" || r >= rows) continue;
+    if (!tally.has(r)) tally.set(r, { text: 0, other: 0 });
+    if (isNumericKey(key)) tally.get(r).other++;
+    else tally.get(r).text++;
+  }
+  const used = Array.from(tally.keys()).sort((x, y) => x - y);
+  if (!used.length) return -1;
+  const firstNonBlank = used[0];
+  const lastNonBlank = used[used.length - 1];
+  for (const r of used) {
+    if (r - firstNonBlank >= HEADER_SCAN_ROWS) break;
+    const { text, other } = tally.get(r);
+    if (text >= 2 && other === 0 && r < lastNonBlank) return r;
+  }
+  return firstNonBlank;
+}
+
+// Resolve key column specs (header names, or column letters like "B") to local column indexes.
+// Returns null when any key column cannot be found.
+function resolveKeyColumns(columns, headers, baseCol) {
+  const out = [];
+  for (const spec of columns) {
+    const name = normHeader(spec);
+    let idx = headers.findIndex((h) => h !== "" && h === name);
+    if (idx < 0 && /^[a-z]{1,3}$/.test(name)) idx = columnIndexFromLetters(name.toUpperCase()) - baseCol;
+    if (idx < 0 || idx >= headers.length) return null;
+    out.push(idx);
+  }
+  return out;
+}
+
+// Pair columns by header text (in order for duplicates); blank-header columns pair by position.
+function matchColumnsByHeader(headersA, headersB) {
+  const cols = headersA.length;
+  const colAToB = new Int32Array(cols).fill(-1);
+  const colBToA = new Int32Array(cols).fill(-1);
+  const byName = new Map();
+  headersB.forEach((h, j) => {
+    if (h === "") return;
+    if (!byName.has(h)) byName.set(h, []);
+    byName.get(h).push(j);
+  });
+  headersA.forEach((h, i) => {
+    if (h === "") return;
+    const list = byName.get(h);
+    if (!list || !list.length) return;
+    const j = list.shift();
+    colAToB[i] = j;
+    colBToA[j] = i;
+  });
+  for (let i = 0; i < cols; i++) {
+    if (headersA[i] === "" && headersB[i] === "" && colAToB[i] < 0 && colBToA[i] < 0) {
+      colAToB[i] = i;
+      colBToA[i] = i;
+    }
+  }
+  return { colAToB, colBToA };
+}
+
+function rowKey(keys, r, cols, keyCols) {
+  let blank = true;
+  const parts = keyCols.map((c) => {
+    const k = keyAt(keys, r * cols + c);
+    if (k !== "") blank = false;
+    return k;
+  });
+  return blank ? null : parts.join("\u0001");
+}
+
+// Match rows by key columns between the current (A) and baseline (B) key grids of one box.
+// spec: { columns: [header name or column letter, ...], headerRow: 1-based sheet row or null (auto-detect) }
+// Returns { row: { aToB, bToA }, col: { aToB, bToA }, headerRowA, headerRowB, labelsA, keyColsA,
+// recordKeysA, recordKeysB } with local indexes, or { error } when the key columns cannot be resolved.
+export function matchRecords(keysA, keysB, rows, cols, spec, baseRow, baseCol) {
+  const columns = (spec && Array.isArray(spec.columns) ? spec.columns : []).filter((c) => normHeader(c) !== "");
+  if (!columns.length) return { error: "no key columns configured" };
+  const fixed = spec && Number.isInteger(spec.headerRow) && spec.headerRow > 0 ? spec.headerRow - 1 - baseRow : null;
+  const headerRowA = fixed !== null ? fixed : detectHeaderRow(keysA, rows, cols);
+  const headerRowB = fixed !== null ? fixed : detectHeaderRow(keysB, rows, cols);
+  if (headerRowA < 0 || headerRowB < 0 || headerRowA >= rows || headerRowB >= rows) {
+    return { error: "header row not found" };
+  }
+  const headersA = Array.from({ length: cols }, (_, c) => normHeader(keyAt(keysA, headerRowA * cols + c)));
+  const headersB = Array.from({ length: cols }, (_, c) => normHeader(keyAt(keysB, headerRowB * cols + c)));
+  const keyColsA = resolveKeyColumns(columns, headersA, baseCol);
+  const keyColsB = resolveKeyColumns(columns, headersB, baseCol);
+  if (!keyColsA || !keyColsB) return { error: `key column(s) not found: ${columns.join(", ")}` };
+
+  const { colAToB, colBToA } = matchColumnsByHeader(headersA, headersB);
+  const rowAToB = new Int32Array(rows).fill(-1);
+  const rowBToA = new Int32Array(rows).fill(-1);
+  const pair = (i, j) => {
+    rowAToB[i] = j;
+    rowBToA[j] = i;
+  };
+  // Header rows pair with each other; rows above them pair by distance from the header
+  pair(headerRowA, headerRowB);
+  for (let k = 1; headerRowA - k >= 0 && headerRowB - k >= 0; k++) pair(headerRowA - k, headerRowB - k);
+
+  // Data rows pair by key; duplicate keys pair in order of appearance
+  const recordKeysA = new Array(rows).fill(null);
+  const recordKeysB = new Array(rows).fill(null);
+  const byKey = new Map();
+  for (let j = headerRowB + 1; j < rows; j++) {
+    const key = rowKey(keysB, j, cols, keyColsB);
+    recordKeysB[j] = key;
+    if (key === null) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(j);
+  }
+  for (let i = headerRowA + 1; i < rows; i++) {
+    const key = rowKey(keysA, i, cols, keyColsA);
+    recordKeysA[i] = key;
+    if (key === null) continue;
+    const list = byKey.get(key);
+    if (list && list.length) pair(i, list.shift());
+  }
+  // Blank rows pair by position when both sides are blank there, so spacer rows are not reported
+  const usedA = nonBlankRows(keysA, cols);
+  const usedB = nonBlankRows(keysB, cols);
+  for (let i = headerRowA + 1; i < rows; i++) {
+    if (rowAToB[i] < 0 && rowBToA[i] < 0 && i > headerRowB && !usedA.has(i) && !usedB.has(i)) pair(i, i);
+  }
+
+  return {
+    row: { aToB: rowAToB, bToA: rowBToA },
+    col: { aToB: colAToB, bToA: colBToA },
+    headerRowA,
+    headerRowB,
+    // Header text as shown in the current sheet, for reporting fields
+    labelsA: Array.from({ length: cols }, (_, c) => keyAt(keysA, headerRowA * cols + c)),
+    keyColsA,
+    recordKeysA,
+    recordKeysB,
+  };
+}
+
+// Display text for a record key (joined key column values)
+export function formatRecordKey(key) {
+  if (key === null || key === undefined) return "(no key)";
+  return key.split("\u0001").join(" / ");
+}
@@ -0,0 +1,251 @@
+// Conditional formatting and data validation rules: canonical rule text, range normalization and their diff.
+// Model sheets carry `conditionalFormats: [{ type, range, text }]` (in priority order) and
+// `dataValidations: [{ range, text }]`; range is a normalized A1 range list ("B2:B10,D2:D10", see normalizeRanges)
+// and text the rule as read back ("cell value greater than =5", "list Open,Closed"). The same text is built from
+// the live workbook (model.js) and from uploaded files (import-xlsx.js), so rules compare by text. Either list is
+// null when it could not be captured; older models have neither.
+import { cellAddress, columnLetter, parseRange } from "./cells";
+
+export const MAX_ROWS = 1048576;
+export const MAX_COLS = 16384;
+
+// Operator words, keyed by operator name lower-cased without a trailing "To" (Excel API "GreaterThanOrEqualTo",
+// "EqualTo" and .xlsx "greaterThanOrEqual", "equal" read the same)
+const OPERATORS = {
+  between: "between",
+  notbetween: "not between",
+  equal: "equal to",
+  notequal: "not equal to",
+  greaterthan: "greater than",
+  lessthan: "less than",
+  greaterthanorequal: "greater than or equal to",
+  lessthanorequal: "less than or equal to",
+};
+
+const TEXT_OPERATORS = {
+  contains: "contains",
+  notcontains: "does not contain",
+  beginswith: "begins with",
+  endswith: "ends with",
+};
+
+function operatorKey(op) {
+  return String(op || "between")
+    .toLowerCase()
+    .replace(/to$/, "");
+}
+
+// Formula as Excel reports it for the live workbook: leading "=", no surrounding space
+export function ruleFormula(f) {
+  const text = String(f === null || f === undefined ? "" : f).trim();
+  if (!text) return "";
+  return text.startsWith("=") ? text : `=${text}`;
+}
+
+function comparison(op, formula1, formula2) {
+  const key = operatorKey(op);
+  const words = OPERATORS[key] || key;
+  const f1 = ruleFormula(formula1);
+  return key === "between" || key === "notbetween" ? `${words} ${f1} and ${ruleFormula(formula2)}` : `${words} ${f1}`;
+}
+
+// "DuplicateValues" -> "duplicate values"
+function words(name) {
+  return String(name || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase();
+}
+
+// Text of a conditional format rule. rule: { type, operator, formula1, formula2 } for "cellValue",
+// { type, formula } for "custom", { type, operator, text } for "containsText", { type, rank, bottom, percent }
+// for "topBottom", { type, criterion } for "presetCriteria" (Excel API criterion names), or just { type } for
+// "dataBar", "colorScale" and "iconSet"
+export function conditionalFormatText(rule) {
+  switch (rule.type) {
+    case "cellValue":
+      return `cell value ${comparison(rule.operator, rule.formula1, rule.formula2)}`;
+    case "custom":
+      return `formula ${ruleFormula(rule.formula)}`;
+    case "containsText": {
+      const key = String(rule.operator || "contains").toLowerCase();
+      return `text ${TEXT_OPERATORS[key] || key} "${rule.text || ""}"`;
+    }
+    case "topBottom":
+      return `${rule.bottom ? "bottom" : "top"} ${rule.rank}${rule.percent ? "%" : " items"}`;
+    case "presetCriteria":
+      return words(rule.criterion);
+    default:
+      return words(rule.type);
+  }
+}
+
+const VALIDATION_TYPES = {
+  wholenumber: "whole number",
+  whole: "whole number",
+  decimal: "decimal",
+  textlength: "text length",
+  date: "date",
+  time: "time",
+};
+
+// Text of a data validation rule. rule: { type: "list", source } with source as Excel reports it ("a,b,c" for a
+// literal list, "=$D$1:$D$5" for a range), { type: "custom", formula }, or { type, operator, formula1, formula2 }
+// for whole numbers, decimals, text lengths, dates and times
+export function validationText(rule) {
+  const type = String(rule.type || "").toLowerCase();
+  if (type === "list") return `list ${String(rule.source || "").trim()}`;
+  if (type === "custom") return `custom ${ruleFormula(rule.formula)}`;
+  return `${VALIDATION_TYPES[type] || type} ${comparison(rule.operator, rule.formula1, rule.formula2)}`;
+}
+
+// True for a conditional format that looks like one of the add-in's own overlays: a fill in one of colors (a Set of
+// upper-case "#RRGGBB"), or, with matchRuleTypes, the rules overlays are created with (custom "=TRUE", or cell value
+// greater than -1). rule: { type: "custom" | "cellValue" | ..., fill, formula, operator, formula1 }
+export function isOverlayRule(rule, colors, { matchRuleTypes = false } = {}) {
+  const fill = rule.fill ? String(rule.fill).trim().toUpperCase() : null;
+  if (fill && colors && colors.has(fill)) return true;
+  if (!matchRuleTypes) return false;
+  const bare = (f) =>
+    String(f || "")
+      .trim()
+      .replace(/^=/, "")
+      .toUpperCase();
+  const type = String(rule.type || "").toLowerCase();
+  if (type === "custom") return bare(rule.formula) === "TRUE";
+  if (type === "cellvalue") return operatorKey(rule.operator) === "greaterthan" && bare(rule.formula1) === "-1";
+  return false;
+}
+
+function columnIndex(letters) {
+  let c = 0;
+  for (let i = 0; i < letters.length; i++) c = c * 26 + (letters.charCodeAt(i) - 64);
+  return c - 1;
+}
+
+// One area of a range list ("B2:D5", "B:B", "3:3", sheet-qualified or with $) as { r1, c1, r2, c2 }, or null
+export function parseArea(text) {
+  const local = text
+    .slice(text.lastIndexOf("!") + 1)
+    .replace(/\$/g, "")
+    .toUpperCase();
+  const cols = /^([A-Z]{1,3}):([A-Z]{1,3})$/.exec(local);
+  if (cols) return { r1: 0, c1: columnIndex(cols[1]), r2: MAX_ROWS - 1, c2: columnIndex(cols[2]) };
+  const rows = /^(\d+):(\d+)$/.exec(local);
+  if (rows) return { r1: parseInt(rows[1], 10) - 1, c1: 0, r2: parseInt(rows[2], 10) - 1, c2: MAX_COLS - 1 };
+  return parseRange(local);
+}
+
+function areaText({ r1, c1, r2, c2 }) {
+  if (r1 === 0 && r2 === MAX_ROWS - 1) return `${columnLetter(c1)}:${columnLetter(c2)}`;
+  if (c1 === 0 && c2 === MAX_COLS - 1) return `${r1 + 1}:${r2 + 1}`;
+  const a = cellAddress(r1, c1);
+  return r1 === r2 && c1 === c2 ? a : `${a}:${cellAddress(r2, c2)}`;
+}
+
+// Canonical text of a set of cells given as areas ({ r1, c1, r2, c2 } or A1 text; A1 lists may separate areas
+// with commas or spaces), so the same cells read the same however they were split: row bands with the same
+// column runs are merged, e.g. ["B2:B5", "B6:B10", "C2:C10"] -> "B2:C10"
+export function normalizeRanges(areas) {
+  const rects = [];
+  for (const area of areas) {
+    if (typeof area === "string") {
+      for (const part of area.split(/[\s,]+/)) {
+        const rect = part ? parseArea(part) : null;
+        if (rect) rects.push(rect);
+      }
+    } else if (area) rects.push(area);
+  }
+  const edges = [...new Set(rects.flatMap((r) => [r.r1, r.r2 + 1]))].sort((x, y) => x - y);
+  const bands = []; // { r1, r2, runs: [[c1, c2], ...] }
+  for (let i = 0; i + 1 < edges.length; i++) {
+    const r1 = edges[i];
+    const covering = rects.filter((r) => r.r1 <= r1 && r.r2 >= r1).sort((x, y) => x.c1 - y.c1);
+    const runs = [];
+    for (const r of covering) {
+      const last = runs[runs.length - 1];
+      if (last && r.c1 <= last[1] + 1) last[1] = Math.max(last[1], r.c2);
+      else runs.push([r.c1, r.c2]);
+    }
+    if (!runs.length) continue;
+    const prev = bands[bands.length - 1];
+    if (prev && prev.r2 === r1 - 1 && JSON.stringify(prev.runs) === JSON.stringify(runs)) prev.r2 = edges[i + 1] - 1;
+    else bands.push({ r1, r2: edges[i + 1] - 1, runs });
+  }
+  return bands.flatMap(({ r1, r2, runs }) => runs.map(([c1, c2]) => areaText({ r1, c1, r2, c2 }))).join(",");
+}
+
+// Added, removed and modified rules of one kind on one sheet. Identical rules (same range and text) match first,
+// then rules on the same range (rule text changed), then rules with the same text (range changed).
+function diffRuleList(a, b) {
+  const restA = [...a];
+  const restB = [...b];
+  const modified = [];
+  const pair = (same, record) => {
+    for (let i = 0; i < restA.length; i++) {
+      const j = restB.findIndex((r) => same(restA[i], r));
+      if (j < 0) continue;
+      if (record) modified.push({ from: restB[j], to: restA[i] });
+      restA.splice(i--, 1);
+      restB.splice(j, 1);
+    }
+  };
+  pair((x, y) => x.range === y.range && x.text === y.text, false);
+  pair((x, y) => x.range === y.range, true);
+  pair((x, y) => x.text === y.text, true);
+  return { added: restA, removed: restB, modified };
+}
+
+// Compare the conditional formats and data validation of paired sheets; null when either model predates rule
+// capture.
+// renames: diffWorkbooks' sheet renames ({ from, to }). Returns { bySheet: { [sheet]: { conditionalFormats,
+// dataValidations } }, count } where each kind is { added, removed, modified: [{ from, to }] } of rules, or null
+// when either side did not capture it; only sheets with changes are listed, and count sums all entries.
+export function diffRules(curr, base, renames = []) {
+  const captured = (m) => m && m.sheets.some((s) => s.conditionalFormats || s.dataValidations);
+  if (!captured(curr) || !captured(base)) return null;
+  const renamed = new Map(renames.map((r) => [r.to, r.from]));
+  const out = { bySheet: {}, count: 0 };
+  for (const sheet of curr.sheets) {
+    const baseName = renamed.get(sheet.name) || sheet.name;
+    const prev = base.sheets.find((s) => s.name === baseName);
+    if (!prev) continue;
+    const entry = {};
+    let changes = 0;
+    for (const kind of ["conditionalFormats", "dataValidations"]) {
+      if (!Array.isArray(sheet[kind]) || !Array.isArray(prev[kind])) {
+        entry[kind] = null;
+        continue;
+      }
+      entry[kind] = diffRuleList(sheet[kind], prev[kind]);
+      changes += entry[kind].added.length + entry[kind].removed.length + entry[kind].modified.length;
+    }
+    if (changes) {
+      out.bySheet[sheet.name] = entry;
+      out.count += changes;
+    }
+  }
+  return out;
+}
+
+// Human-readable notes for a rules diff, e.g. "Data: validation on B2:B10 changed: list a,b → list a,b,c"
+export function describeRules(rules) {
+  if (!rules) return [];
+  const notes = [];
+  const labels = { conditionalFormats: "conditional format", dataValidations: "validation" };
+  for (const [sheet, entry] of Object.entries(rules.bySheet)) {
+    for (const kind of ["conditionalFormats", "dataValidations"]) {
+      const d = entry[kind];
+      if (!d) continue;
+      const label = labels[kind];
+      for (const r of d.added) notes.push(`${sheet}: ${label} added on ${r.range}: ${r.text}`);
+      for (const r of d.removed) notes.push(`${sheet}: ${label} removed from ${r.range}: ${r.text}`);
+      for (const { from, to } of d.modified) {
+        if (from.range === to.range) notes.push(`${sheet}: ${label} on ${to.range} changed: ${from.text} → ${to.text}`);
+        else if (from.text === to.text)
+          notes.push(`${sheet}: ${label} ${to.text} now on ${to.range} (was ${from.range})`);
+        else notes.push(`${sheet}: ${label} changed: ${from.text} on ${from.range} → ${to.text} on ${to.range}`);
+      }
+    }
+  }
+  return notes;
+}
@@ -0,0 +1,102 @@
+// Pair current and baseline sheets: by name, by manual mapping, then by content similarity (renames).
+import { hashString } from "./align";
+import { cellKey } from "./cells";
+import { forEachCell } from "./sparse";
+
+// Minimum content similarity for an unmatched pair to count as a rename
+export const DEFAULT_RENAME_THRESHOLD = 0.6;
+
+// Multiset of non-blank row signatures for one sheet
+function rowBag(model, sidx, level, caseSensitive) {
+  // Row text as "column:key" pairs of the non-blank cells, in column order
+  const texts = new Map();
+  forEachCell(model, sidx, (r, c, cell) => {
+    const key = cellKey(cell, level, caseSensitive);
+    texts.set(r, `${texts.get(r) || ""}${c}:${key}\u0001`);
+  });
+  const bag = new Map();
+  for (const text of texts.values()) {
+    const sig = hashString(text);
+    bag.set(sig, (bag.get(sig) || 0) + 1);
+  }
+  return { bag, size: texts.size };
+}
+
+// Share of rows two sheets have in common, in [0, 1]; empty sheets never match
+export function sheetSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let same = 0;
+  for (const [sig, count] of a.bag) same += Math.min(count, b.bag.get(sig) || 0);
+  return same / Math.max(a.size, b.size);
+}
+
+// Options:
+// - sheetMap: { [currentName]: baselineName } manual pairs; they win over name and content matching
+// - renameThreshold: minimum similarity to pair unmatched sheets as renames (default: DEFAULT_RENAME_THRESHOLD)
+// - whitespace, caseSensitive: text comparison rules for the similarity (see compare-options.js)
+// Returns { pairs: [{ ai, bi, renamed, manual, similarity }], added: [ai], removed: [bi] };
+// similarity is null for manual pairs
+export function matchSheets(curr, base, options = {}) {
+  const {
+    sheetMap = {},
+    renameThreshold = DEFAULT_RENAME_THRESHOLD,
+    whitespace = "full",
+    caseSensitive = true,
+  } = options;
+  const byNameBase = new Map(base.sheets.map((s, i) => [s.name, i]));
+  const usedA = new Set();
+  const usedB = new Set();
+  const pairs = [];
+  const pair = (ai, bi, extra) => {
+    usedA.add(ai);
+    usedB.add(bi);
+    pairs.push({
+      ai,
+      bi,
+      renamed: curr.sheets[ai].name !== base.sheets[bi].name,
+      manual: false,
+      similarity: 1,
+      ...extra,
+    });
+  };
+
+  // Manual mapping first
+  curr.sheets.forEach((s, ai) => {
+    const target = sheetMap[s.name];
+    if (!target || !byNameBase.has(target)) return;
+    const bi = byNameBase.get(target);
+    if (usedB.has(bi)) return;
+    pair(ai, bi, { manual: true, similarity: null });
+  });
+  // Same name
+  curr.sheets.forEach((s, ai) => {
+    if (usedA.has(ai) || !byNameBase.has(s.name)) return;
+    const bi = byNameBase.get(s.name);
+    if (!usedB.has(bi)) pair(ai, bi);
+  });
+  // Content similarity among the leftovers, best pairs first
+  const restA = curr.sheets.map((_, i) => i).filter((i) => !usedA.has(i));
+  const restB = base.sheets.map((_, i) => i).filter((i) => !usedB.has(i));
+  if (restA.length && restB.length) {
+    const bagsA = new Map(restA.map((i) => [i, rowBag(curr, i, whitespace, caseSensitive)]));
+    const bagsB = new Map(restB.map((i) => [i, rowBag(base, i, whitespace, caseSensitive)]));
+    const candidates = [];
+    for (const ai of restA) {
+      for (const bi of restB) {
+        const similarity = sheetSimilarity(bagsA.get(ai), bagsB.get(bi));
+        if (similarity >= renameThreshold) candidates.push({ ai, bi, similarity });
+      }
+    }
+    candidates.sort((x, y) => y.similarity - x.similarity);
+    for (const c of candidates) {
+      if (usedA.has(c.ai) || usedB.has(c.bi)) continue;
+      pair(c.ai, c.bi, { similarity: c.similarity });
+    }
+  }
+
+  return {
+    pairs,
+    added: curr.sheets.map((_, i) => i).filter((i) => !usedA.has(i)),
+    removed: base.sheets.map((_, i) => i).filter((i) => !usedB.has(i)),
+  };
+}
@@ -2,6 +2,7 @@
 /* eslint-disable prettier/prettier */
 // Store: "snapshots" with keyPath "id"
 /* global indexedDB, IDBKeyRange */
+import { toSparseModel } from "./sparse";
 
 const DB_NAME = "cc_snapshots_v1";
 const DB_VERSION = 2;
@@ -55,6 +56,10 @@ function genId() {
   return `${Date.now()}_${rand}`;
 }
 
+// meta: { name, workbookId, source }. source describes where an uploaded baseline came from:
+// { kind: "upload" | "csv", fileName, fileSize, lastModified } with the size in bytes and lastModified the file's
+// modification time (ms since epoch, null when unknown); several CSV files list their names comma-separated, their
+// total size and the latest modification time. Snapshots of the open workbook (and older records) have source null.
 export async function saveSnapshot(model, meta = {}) {
   const record = {
     id: genId(),
@@ -62,6 +67,7 @@ export async function saveSnapshot(model, meta = {}) {
     ts: Date.now(),
     sheetCount: Array.isArray(model?.sheets) ? model.sheets.length : 0,
     workbookId: meta.workbookId || null,
+    source: meta.source || null,
     model,
   };
   await runTxn("readwrite", (store) => store.put(record));
@@ -154,9 +160,10 @@ export async function deleteSnapshot(id) {
   return true;
 }
 
+// Snapshots saved before models went sparse are converted on load (see sparse.js)
 export async function getSnapshot(id) {
   if (!id) return null;
-  return runTxn(
+  const rec = await runTxn(
     "readonly",
     (store) =>
       new Promise((resolve, reject) => {
@@ -165,4 +172,6 @@ export async function getSnapshot(id) {
         req.onerror = () => reject(req.error);
       })
   );
+  if (rec && rec.model) rec.model = toSparseModel(rec.model);
+  return rec;
 }
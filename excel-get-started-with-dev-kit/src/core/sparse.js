@@ -0,0 +1,67 @@
+// Sparse sheet format for WorkbookModels: only non-blank cells are stored, so sheets with a few far-flung
+// cells cost what their content costs rather than rows x cols.
+//
+// A sparse sheet is { name, rowCount, columnCount, rowOffset, colOffset, cells } where
+// cells = { [localRow]: { [localCol]: [value, type] | [value, type, formula, formulaR1C1] |
+// [value, type, formula | null, formulaR1C1 | null, numberFormat | null, style] } }; the number format is only
+// stored when captured and not General, or as the hint of a date or time (see dates.js), the style (see styles.js)
+// only when captured and not plain.
+// Older models (and snapshots saved by earlier versions) are dense: parallel values / formulas /
+// formulasR1C1 / valueTypes arrays. getCell in cells.js reads both; toSparseModel converts.
+import { getCell, isBlankCell } from "./cells";
+
+const DENSE_KEYS = ["values", "formulas", "formulasR1C1", "valueTypes"];
+
+export function isSparseSheet(sh) {
+  return Boolean(sh && sh.cells && !sh.values);
+}
+
+// Store one cell at used-range-local (r, c); blank cells are not stored. Only formulas (text starting
+// with "=") are kept as formulas, so literal text reads the same whichever way the model was built.
+export function setSparseCell(sh, r, c, v, t, f = null, r1c1 = null, nf = null, style = null) {
+  const formula = typeof f === "string" && f.startsWith("=") ? f : null;
+  if (isBlankCell({ v, f: formula, t })) return;
+  if (!sh.cells[r]) sh.cells[r] = {};
+  const format = typeof nf === "string" && nf && nf !== "General" ? nf : null;
+  if (style) sh.cells[r][c] = [v, t, formula, formula ? r1c1 || null : null, format, style];
+  else if (format) sh.cells[r][c] = [v, t, formula, formula ? r1c1 || null : null, format];
+  else sh.cells[r][c] = formula ? [v, t, formula, r1c1 || null] : [v, t];
+}
+
+// Calls fn(r, c, cell) for every non-blank cell of a sheet, row by row (used-range-local coordinates)
+export function forEachCell(model, sidx, fn) {
+  const sh = model.sheets[sidx];
+  if (!sh) return;
+  if (isSparseSheet(sh)) {
+    for (const rk of Object.keys(sh.cells)) {
+      const r = Number(rk);
+      if (r >= sh.rowCount) continue;
+      for (const ck of Object.keys(sh.cells[rk])) {
+        const c = Number(ck);
+        if (c < sh.columnCount) fn(r, c, getCell(model, sidx, r, c));
+      }
+    }
+    return;
+  }
+  for (let r = 0; r < (sh.rowCount || 0); r++) {
+    for (let c = 0; c < (sh.columnCount || 0); c++) {
+      const cell = getCell(model, sidx, r, c);
+      if (!isBlankCell(cell)) fn(r, c, cell);
+    }
+  }
+}
+
+// Sparse copy of a model; sparse sheets are kept as they are. Other model fields are preserved.
+export function toSparseModel(model) {
+  if (!model || !Array.isArray(model.sheets) || model.sheets.every(isSparseSheet)) return model;
+  const sheets = model.sheets.map((sh, sidx) => {
+    if (isSparseSheet(sh)) return sh;
+    const out = { ...sh, cells: {} };
+    for (const key of DENSE_KEYS) delete out[key];
+    forEachCell(model, sidx, (r, c, cell) =>
+      setSparseCell(out, r, c, cell.v, cell.t, cell.f, cell.r1c1, cell.nf, cell.style)
+    );
+    return out;
+  });
+  return { ...model, sheets };
+}
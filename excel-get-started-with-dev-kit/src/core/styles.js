@@ -0,0 +1,156 @@
+// Cell styles for the opt-in style comparison: fonts, fills, borders and alignment.
+// A style is a flat object holding only the properties that differ from a plain cell, e.g.
+// { bold: true, fill: "#FFFF00", borderBottom: "Continuous Thin #000000", horizontalAlignment: "Center" };
+// null when nothing differs. Colors are upper-case "#RRGGBB". Models list the property groups they captured
+// as `styles` (see STYLE_GROUPS): the live workbook captures them all, uploads only fills (SheetJS reads no
+// other cell styles).
+
+// Property names per group, in display order
+export const STYLE_GROUPS = {
+  font: ["bold", "italic", "underline", "strikethrough", "fontColor", "fontName", "fontSize"],
+  fill: ["fill"],
+  borders: ["borderTop", "borderBottom", "borderLeft", "borderRight"],
+  alignment: ["horizontalAlignment", "verticalAlignment", "wrapText", "indentLevel"],
+};
+
+// Values of a plain cell; fontName and fontSize default to the workbook's Normal style instead
+const PLAIN = {
+  bold: false,
+  italic: false,
+  underline: "None",
+  strikethrough: false,
+  fontColor: "#000000",
+  fill: null,
+  horizontalAlignment: "General",
+  verticalAlignment: "Bottom",
+  wrapText: false,
+  indentLevel: 0,
+};
+
+const BORDER_EDGES = { borderTop: "top", borderBottom: "bottom", borderLeft: "left", borderRight: "right" };
+
+const LABELS = {
+  fontColor: "font color",
+  fontName: "font",
+  fontSize: "font size",
+  borderTop: "top border",
+  borderBottom: "bottom border",
+  borderLeft: "left border",
+  borderRight: "right border",
+  horizontalAlignment: "horizontal alignment",
+  verticalAlignment: "vertical alignment",
+  wrapText: "wrap text",
+  indentLevel: "indent",
+};
+
+// Range.getCellProperties() load options for the properties above
+export const CELL_STYLE_PROPERTIES = {
+  format: {
+    font: { bold: true, italic: true, underline: true, strikethrough: true, color: true, name: true, size: true },
+    fill: { color: true, pattern: true },
+    borders: { style: true, weight: true, color: true },
+    horizontalAlignment: true,
+    verticalAlignment: true,
+    wrapText: true,
+    indentLevel: true,
+  },
+};
+
+function normColor(color) {
+  if (typeof color !== "string" || !color) return null;
+  const hex = color.replace(/^#/, "").toUpperCase();
+  return /^[0-9A-F]{6}$/.test(hex) ? `#${hex}` : color;
+}
+
+// Drop plain values; null when nothing is left
+function compact(style, defaults) {
+  const out = {};
+  for (const [key, value] of Object.entries(style)) {
+    if (value === null || value === undefined) continue;
+    const plain = key in PLAIN ? PLAIN[key] : defaults[key];
+    if (value !== plain) out[key] = value;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Style from one entry of Range.getCellProperties(CELL_STYLE_PROPERTIES).
+// defaults: { fontName, fontSize } of the workbook's Normal style
+export function styleFromCellProperties(props, defaults = {}) {
+  const format = (props && props.format) || {};
+  const font = format.font || {};
+  const fill = format.fill || {};
+  const borders = format.borders || {};
+  const style = {
+    bold: Boolean(font.bold),
+    italic: Boolean(font.italic),
+    underline: font.underline || "None",
+    strikethrough: Boolean(font.strikethrough),
+    fontColor: normColor(font.color),
+    fontName: font.name || null,
+    fontSize: typeof font.size === "number" ? font.size : null,
+    // A cell without a fill reports white with pattern "None"
+    fill: fill.pattern && fill.pattern !== "None" ? normColor(fill.color) : null,
+    horizontalAlignment: format.horizontalAlignment || null,
+    verticalAlignment: format.verticalAlignment || null,
+    wrapText: Boolean(format.wrapText),
+    indentLevel: typeof format.indentLevel === "number" ? format.indentLevel : null,
+  };
+  for (const [key, edge] of Object.entries(BORDER_EDGES)) {
+    const b = borders[edge];
+    style[key] = b && b.style && b.style !== "None" ? `${b.style} ${b.weight || "Thin"} ${normColor(b.color)}` : null;
+  }
+  return compact(style, defaults);
+}
+
+// Style from a SheetJS cell read with cellStyles (cell.s is the cell's fill)
+export function styleFromSheetJS(s) {
+  if (!s || !s.patternType || s.patternType === "none") return null;
+  const color = s.fgColor && s.fgColor.rgb ? normColor(s.fgColor.rgb) : null;
+  return color ? { fill: color } : null;
+}
+
+// Groups both models captured, or null when either captured none
+export function commonStyleGroups(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return null;
+  const groups = a.filter((g) => b.includes(g) && STYLE_GROUPS[g]);
+  return groups.length ? groups : null;
+}
+
+// Property of a style, with left-out properties read as plain (null for the Normal style's font and size)
+function styleValue(style, key) {
+  if (style && style[key] !== undefined && style[key] !== null) return style[key];
+  return key in PLAIN ? PLAIN[key] : null;
+}
+
+// Names of the properties in groups that differ between two styles
+export function styleChanges(a, b, groups) {
+  const changed = [];
+  for (const group of groups) {
+    for (const key of STYLE_GROUPS[group] || []) {
+      if (styleValue(a, key) !== styleValue(b, key)) changed.push(key);
+    }
+  }
+  return changed;
+}
+
+function propertyText(key, value) {
+  if (value === null) return key === "fontName" || key === "fontSize" ? "default" : "none";
+  if (typeof value === "boolean") return value ? "on" : "off";
+  return String(value);
+}
+
+// The given properties of a style as text, e.g. "bold on; fill #FFFF00"
+export function describeStyle(style, keys) {
+  return keys.map((key) => `${LABELS[key] || key} ${propertyText(key, styleValue(style, key))}`).join("; ");
+}
+
+// Human-readable style change from baseline style b to current style a, e.g. "bold on (was off); fill #FFFF00
+// (was none)"; empty when nothing in groups differs
+export function describeStyleChange(a, b, groups) {
+  return styleChanges(a, b, groups)
+    .map((key) => {
+      const label = LABELS[key] || key;
+      return `${label} ${propertyText(key, styleValue(a, key))} (was ${propertyText(key, styleValue(b, key))})`;
+    })
+    .join("; ");
+}
@@ -0,0 +1,187 @@
+// Excel tables (ListObjects): structural diff and table-relative cell labels.
+// Models carry them as `tables`: [{ name, sheet, range, headers, showHeaders, showTotals }] where range is the
+// whole table ("B2:F20", header and totals rows included, no sheet name) and headers lists the column names in
+// order. Older models have no `tables`.
+import { alignSequences, hashString } from "./align";
+import { cellAt, cellKey, parseRange } from "./cells";
+
+// Data rows sampled per column when pairing renamed columns by content
+const COLUMN_SAMPLE_ROWS = 200;
+
+// Table with its range parsed ({ r1, c1, r2, c2 }, zero-based) and its data rows
+function layout(table) {
+  const rect = parseRange(table.range);
+  if (!rect) return null;
+  const first = rect.r1 + (table.showHeaders ? 1 : 0);
+  const last = rect.r2 - (table.showTotals ? 1 : 0);
+  return { table, rect, first, last, dataRows: Math.max(0, last - first + 1) };
+}
+
+// Tables of a model by sheet name, with parsed ranges; for repeated cell lookups (see tableCellLabel)
+export function indexTables(model) {
+  const bySheet = new Map();
+  for (const table of (model && model.tables) || []) {
+    const entry = layout(table);
+    if (!entry) continue;
+    if (!bySheet.has(table.sheet)) bySheet.set(table.sheet, []);
+    bySheet.get(table.sheet).push(entry);
+  }
+  return bySheet;
+}
+
+// Table reference of an absolute (zero-based) cell: { name, column, row, label } where row is the 1-based data
+// row (null in the header and totals rows) and label reads "Sales[Region] row 14", "Sales[Region] header" or
+// "Sales[Region] totals"; null outside tables. index: indexTables of the model.
+export function tableCellLabel(index, sheet, row, col) {
+  for (const { table, rect, first, last } of index.get(sheet) || []) {
+    if (row < rect.r1 || row > rect.r2 || col < rect.c1 || col > rect.c2) continue;
+    const column = table.headers[col - rect.c1] || `Column${col - rect.c1 + 1}`;
+    const ref = `${table.name}[${column}]`;
+    if (row < first) return { name: table.name, column, row: null, label: `${ref} header` };
+    if (row > last) return { name: table.name, column, row: null, label: `${ref} totals` };
+    const dataRow = row - first + 1;
+    return { name: table.name, column, row: dataRow, label: `${ref} row ${dataRow}` };
+  }
+  return null;
+}
+
+// Share of sampled data rows whose cells read the same in column i of a and column j of b
+function columnSimilarity(curr, a, base, b) {
+  const sa = curr.sheets.findIndex((s) => s.name === a.table.sheet);
+  const sb = base.sheets.findIndex((s) => s.name === b.table.sheet);
+  const rows = Math.min(a.dataRows, b.dataRows, COLUMN_SAMPLE_ROWS);
+  if (sa < 0 || sb < 0 || !rows) return () => 0;
+  return (i, j) => {
+    let same = 0;
+    let filled = 0;
+    for (let r = 0; r < rows; r++) {
+      const ka = cellKey(cellAt(curr, sa, a.first + r, a.rect.c1 + i));
+      const kb = cellKey(cellAt(base, sb, b.first + r, b.rect.c1 + j));
+      if (!ka && !kb) continue;
+      filled++;
+      if (ka === kb) same++;
+    }
+    return filled ? same / filled : 0;
+  };
+}
+
+// Renamed, inserted and removed columns: names line up first, then unmatched columns pair up by position or
+// content (a renamed column keeps its data)
+function diffColumns(curr, a, base, b) {
+  const keyOf = (name) => hashString(String(name).toLowerCase());
+  const { aToB, bToA } = alignSequences(
+    a.table.headers.map(keyOf),
+    b.table.headers.map(keyOf),
+    columnSimilarity(curr, a, base, b)
+  );
+  const out = { renamed: [], inserted: [], removed: [] };
+  a.table.headers.forEach((name, i) => {
+    if (aToB[i] < 0) out.inserted.push(name);
+    else if (b.table.headers[aToB[i]] !== name) out.renamed.push({ from: b.table.headers[aToB[i]], to: name });
+  });
+  b.table.headers.forEach((name, j) => {
+    if (bToA[j] < 0) out.removed.push(name);
+  });
+  return out;
+}
+
+// Columns whose totals cell changed, from the sheet diff's change set
+function changedTotals(a, sheetDiff) {
+  if (!sheetDiff || !a.table.showTotals) return [];
+  const { rows, cols, rowBase, colBase, cells } = sheetDiff;
+  const r = a.rect.r2 - rowBase;
+  if (r < 0 || r >= rows) return [];
+  const out = [];
+  a.table.headers.forEach((name, i) => {
+    const c = a.rect.c1 + i - colBase;
+    if (c >= 0 && c < cols && cells.has(r * cols + c)) out.push(name);
+  });
+  return out;
+}
+
+function tableLocation(table) {
+  return `${table.sheet}!${table.range}`;
+}
+
+// Compare the tables of two models; null when either model predates table capture.
+// renames: diffWorkbooks' sheet renames ({ from, to }); bySheet: its per-sheet diffs (totals cells).
+// Tables pair by name (case-insensitive). Returns { added: [{ name, sheet, range }], removed: [...], changed, count }
+// where changed entries are { name, sheet, range: { from, to } | null, fromSheet, rows: { from, to } | null,
+// columns: { renamed: [{ from, to }], inserted, removed }, totalsRow: "added" | "removed" | null, totals } with
+// fromSheet the baseline sheet of a table that moved to another sheet (else null), rows the data row counts and
+// totals the columns whose totals cell changed; count is the number of notes describeTables writes.
+export function diffTables(curr, base, renames = [], bySheet = {}) {
+  if (!curr || !base || !Array.isArray(curr.tables) || !Array.isArray(base.tables)) return null;
+  const renamed = new Map(renames.map((r) => [r.from, r.to]));
+  const baseTables = new Map();
+  for (const table of base.tables) {
+    const entry = layout(table);
+    if (entry) baseTables.set(table.name.toLowerCase(), entry);
+  }
+  const out = { added: [], removed: [], changed: [], count: 0 };
+  for (const table of curr.tables) {
+    const a = layout(table);
+    if (!a) continue;
+    const key = table.name.toLowerCase();
+    const b = baseTables.get(key);
+    baseTables.delete(key);
+    if (!b) {
+      out.added.push({ name: table.name, sheet: table.sheet, range: table.range });
+      continue;
+    }
+    const otherSheet = (renamed.get(b.table.sheet) || b.table.sheet) !== table.sheet;
+    const change = {
+      name: table.name,
+      sheet: table.sheet,
+      range: otherSheet || b.table.range !== table.range ? { from: b.table.range, to: table.range } : null,
+      fromSheet: otherSheet ? b.table.sheet : null,
+      rows: a.dataRows !== b.dataRows ? { from: b.dataRows, to: a.dataRows } : null,
+      columns: diffColumns(curr, a, base, b),
+      totalsRow: table.showTotals === b.table.showTotals ? null : table.showTotals ? "added" : "removed",
+      totals: b.table.showTotals ? changedTotals(a, bySheet[table.sheet]) : [],
+    };
+    const { columns } = change;
+    const notes =
+      (change.range ? 1 : 0) +
+      columns.renamed.length +
+      columns.inserted.length +
+      columns.removed.length +
+      (change.totalsRow ? 1 : 0) +
+      (change.totals.length ? 1 : 0);
+    if (notes) {
+      out.changed.push(change);
+      out.count += notes;
+    }
+  }
+  for (const { table } of baseTables.values())
+    out.removed.push({ name: table.name, sheet: table.sheet, range: table.range });
+  out.count += out.added.length + out.removed.length;
+  return out;
+}
+
+// Human-readable notes for a table diff, e.g. "table Sales resized B2:F20 → B2:F25 (18 → 23 rows)"
+export function describeTables(tables) {
+  if (!tables) return [];
+  const notes = [];
+  for (const t of tables.added) notes.push(`table ${t.name} added (${tableLocation(t)})`);
+  for (const t of tables.removed) notes.push(`table ${t.name} removed (was ${tableLocation(t)})`);
+  for (const t of tables.changed) {
+    if (t.fromSheet) {
+      notes.push(`table ${t.name} moved from ${t.fromSheet}!${t.range.from} to ${t.sheet}!${t.range.to}`);
+    } else if (t.range) {
+      const size = (range) => {
+        const r = parseRange(range);
+        return r ? `${r.r2 - r.r1}x${r.c2 - r.c1}` : range;
+      };
+      const verb = size(t.range.from) === size(t.range.to) ? "moved" : "resized";
+      const rows = t.rows ? ` (${t.rows.from} → ${t.rows.to} rows)` : "";
+      notes.push(`table ${t.name} ${verb} ${t.range.from} → ${t.range.to}${rows}`);
+    }
+    for (const c of t.columns.renamed) notes.push(`table ${t.name}: column ${c.from} renamed to ${c.to}`);
+    for (const name of t.columns.inserted) notes.push(`table ${t.name}: column ${name} inserted`);
+    for (const name of t.columns.removed) notes.push(`table ${t.name}: column ${name} removed`);
+    if (t.totalsRow) notes.push(`table ${t.name}: totals row ${t.totalsRow}`);
+    if (t.totals.length) notes.push(`table ${t.name}: totals changed in ${t.totals.join(", ")}`);
+  }
+  return notes;
+}
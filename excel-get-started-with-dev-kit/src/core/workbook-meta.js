@@ -0,0 +1,149 @@
+// Workbook-level metadata: defined names, sheet tab order and sheet visibility.
+// Models carry it as `workbook`: { sheets: [{ name, visibility }], names: [{ name, scope, formula }] } where
+// sheets lists every sheet in tab order (hidden ones included), visibility is "Visible" | "Hidden" |
+// "VeryHidden", scope is the sheet name of a sheet-scoped name (null for workbook scope) and formula is the
+// definition with a leading "=" ("=Data!$A$2:$A$90", "=0.07"). Built-in (_xlnm.*) and hidden names are left out.
+import { alignSequences, hashString } from "./align";
+import { quoteSheetName } from "./cells";
+
+const VISIBILITY_LABELS = { Visible: "visible", Hidden: "hidden", VeryHidden: "very hidden" };
+
+// True for a model sheet that is hidden or very hidden in its workbook (sheet.visibility, see model.js)
+export function isHiddenSheet(sheet) {
+  return Boolean(sheet && sheet.visibility && sheet.visibility !== "Visible");
+}
+
+// Copy of a model without the sheets (and their tables) keep rejects
+function keepSheets(m, keep) {
+  const sheets = m.sheets.filter(keep);
+  const kept = new Set(sheets.map((s) => s.name));
+  const tables = Array.isArray(m.tables) ? m.tables.filter((t) => kept.has(t.sheet)) : m.tables;
+  return { ...m, sheets, tables };
+}
+
+// Models compared together must agree on hidden sheets: when any of them was built without hidden sheets
+// (model.includesHidden not set), hidden sheets (and their tables) are dropped from all of them. A model covering
+// only some sheets (model.sheetScope, e.g. a CSV import) limits the others to those sheets. Returns the models in
+// order.
+export function commonSheetScope(models) {
+  const scopes = models.filter((m) => m && Array.isArray(m.sheetScope)).map((m) => new Set(m.sheetScope));
+  const scoped = scopes.length
+    ? models.map((m) => (m ? keepSheets(m, (s) => scopes.every((scope) => scope.has(s.name))) : m))
+    : models;
+  if (scoped.every((m) => m && m.includesHidden)) return scoped;
+  return scoped.map((m) => {
+    if (!m || !m.includesHidden) return m;
+    return { ...keepSheets(m, (s) => !isHiddenSheet(s)), includesHidden: false };
+  });
+}
+
+// Names Excel maintains itself (print areas, filter ranges), not user definitions
+export function isBuiltInName(name) {
+  return /^_xlnm\./i.test(String(name || ""));
+}
+
+// Definition text with a leading "=", as Excel reports it for the live workbook
+export function nameFormula(ref) {
+  const text = String(ref === null || ref === undefined ? "" : ref).trim();
+  return text.startsWith("=") ? text : `=${text}`;
+}
+
+// Display form of a name: "Rate", or "Sheet1!Rate" for a sheet-scoped name
+function nameLabel({ name, scope }) {
+  return scope ? `${quoteSheetName(scope)}!${name}` : name;
+}
+
+// Rewrite references to renamed sheets in a baseline definition, so a rename alone does not re-point a name
+function renameRefs(formula, renames) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let out = formula;
+  for (const { from, to } of renames) {
+    const quoted = escape(`'${from.replace(/'/g, "''")}'`);
+    // Bare or quoted sheet name right before "!", not the tail of a longer name
+    const ref = new RegExp(`(^|[^A-Za-z0-9_.'])(${escape(from)}|${quoted})!`, "g");
+    out = out.replace(ref, (_, lead) => `${lead}${quoteSheetName(to)}!`);
+  }
+  return out;
+}
+
+function diffNames(a, b, toCurrent, renames) {
+  const keyOf = (name, scope) => `${scope || ""}\u0001${name.toLowerCase()}`;
+  const baseNames = new Map();
+  for (const n of b.names || []) {
+    const scope = n.scope ? toCurrent(n.scope) : null;
+    baseNames.set(keyOf(n.name, scope), { ...n, scope });
+  }
+  const out = { added: [], removed: [], changed: [] };
+  for (const n of a.names || []) {
+    const key = keyOf(n.name, n.scope);
+    const prev = baseNames.get(key);
+    baseNames.delete(key);
+    if (!prev) out.added.push({ name: n.name, scope: n.scope || null, formula: n.formula });
+    else if (renameRefs(prev.formula, renames).trim() !== String(n.formula).trim()) {
+      out.changed.push({ name: n.name, scope: n.scope || null, from: prev.formula, to: n.formula });
+    }
+  }
+  for (const n of baseNames.values()) out.removed.push({ name: n.name, scope: n.scope, formula: n.formula });
+  return out;
+}
+
+// Sheets whose place in the tab order changed relative to the other sheets, as 1-based positions
+function diffOrder(a, b, toCurrent) {
+  const currNames = a.sheets.map((s) => s.name);
+  const baseNames = b.sheets.map((s) => toCurrent(s.name));
+  const common = new Set(currNames.filter((n) => baseNames.includes(n)));
+  const currOrder = currNames.filter((n) => common.has(n));
+  const baseOrder = baseNames.filter((n) => common.has(n));
+  // The sheets outside the longest common ordering are the ones that moved
+  const { aToB } = alignSequences(currOrder.map(hashString), baseOrder.map(hashString), () => 0, {
+    positionalEqualGaps: false,
+  });
+  const moved = [];
+  currOrder.forEach((name, i) => {
+    if (aToB[i] < 0) moved.push({ sheet: name, from: baseNames.indexOf(name) + 1, to: currNames.indexOf(name) + 1 });
+  });
+  return moved;
+}
+
+function diffVisibility(a, b, toCurrent) {
+  const baseVis = new Map(b.sheets.map((s) => [toCurrent(s.name), s.visibility || "Visible"]));
+  const out = [];
+  for (const s of a.sheets) {
+    const from = baseVis.get(s.name);
+    const to = s.visibility || "Visible";
+    if (from && from !== to) out.push({ sheet: s.name, from, to });
+  }
+  return out;
+}
+
+// Compare the workbook metadata of two models; null when either model has none (e.g. an older snapshot).
+// renames: diffWorkbooks' sheet renames ({ from, to }); sheet-scoped names and references follow them.
+// Returns { names: { added, removed, changed }, order: [{ sheet, from, to }], visibility: [{ sheet, from, to }],
+// changed } where changed counts all entries.
+export function diffWorkbookMeta(curr, base, renames = []) {
+  const a = curr && curr.workbook;
+  const b = base && base.workbook;
+  if (!a || !b) return null;
+  const renamed = new Map(renames.map((r) => [r.from, r.to]));
+  const toCurrent = (name) => renamed.get(name) || name;
+  const names = diffNames(a, b, toCurrent, renames);
+  const order = diffOrder(a, b, toCurrent);
+  const visibility = diffVisibility(a, b, toCurrent);
+  const changed = names.added.length + names.removed.length + names.changed.length + order.length + visibility.length;
+  return { names, order, visibility, changed };
+}
+
+// Human-readable notes for a workbook metadata diff, e.g. "name Rate re-pointed: =0.07 → =0.08"
+export function describeWorkbook(meta) {
+  if (!meta) return [];
+  const notes = [];
+  for (const n of meta.names.added) notes.push(`name ${nameLabel(n)} added (${n.formula})`);
+  for (const n of meta.names.removed) notes.push(`name ${nameLabel(n)} removed (was ${n.formula})`);
+  for (const n of meta.names.changed) notes.push(`name ${nameLabel(n)} re-pointed: ${n.from} → ${n.to}`);
+  for (const m of meta.order) notes.push(`sheet ${m.sheet} moved from position ${m.from} to ${m.to}`);
+  for (const v of meta.visibility) {
+    const label = (x) => VISIBILITY_LABELS[x] || x;
+    notes.push(`sheet ${v.sheet} now ${label(v.to)} (was ${label(v.from)})`);
+  }
+  return notes;
+}
@@ -4,18 +4,42 @@
  */
 
 /* eslint-disable prettier/prettier, office-addins/load-object-before-read, office-addins/call-sync-before-read */
-/* global document, Office, Excel, btoa, atob */
+/* global document, Office, Excel, btoa, atob, Event, AbortController */
 // eslint-disable-next-line no-unused-vars
-import { buildWorkbookModel } from "../core/model";
+import { buildWorkbookModel, captureDate1904 } from "../core/model";
 import { saveSnapshot, listSnapshotsByWorkbook, getSnapshot, deleteSnapshot } from "../core/snapshot";
-import { parseXlsxToModel } from "../core/import-xlsx";
-import { diffWorkbooks } from "../core/diff";
+import { describeStructure, describeRecords, CHANGE_CATEGORIES } from "../core/diff";
+import { parseXlsxAsync, parseCsvAsync, diffWorkbooksAsync, isCancelled } from "../core/compare-client";
+import { csvSheetName } from "../core/import-csv";
+import { createChangeList } from "../core/changes";
+import { normalizeCompareOptions, valuesEqual } from "../core/compare-options";
+import { mergeWorkbooks, MERGE_THERE, MERGE_CONFLICT } from "../core/merge";
+import { describeWorkbook, commonSheetScope } from "../core/workbook-meta";
+import { STYLE_GROUPS, styleChanges, describeStyle, describeStyleChange } from "../core/styles";
+import { describeTables } from "../core/tables";
+import { isOverlayRule, describeRules } from "../core/rules";
+import { describeCommentChange } from "../core/comments";
+import { describeLayoutChange } from "../core/layout";
+import { describeArrayChange } from "../core/arrays";
+import { formatDateSerial, workbookDateValue } from "../core/dates";
 
 // Diff colors and overlay tag used for identification/cleanup
 const OVERLAY_COLOR = '#FFF2CC'; // yellow
 const GREEN_COLOR = '#C6EFCE'; // added
 const RED_COLOR = '#FFC7CE'; // removed
 const ORANGE_COLOR = '#FFA500'; // formula change
+const PEACH_COLOR = '#FCE4D6'; // reference shifted only
+const PURPLE_COLOR = '#E4D0F5'; // three-way merge conflict
+const ERROR_COLOR = '#FF7C80'; // became an error
+const TEAL_COLOR = '#B7E4E0'; // error resolved
+const BLUE_COLOR = '#BDD7EE'; // data type changed
+const GRAY_COLOR = '#D9D9D9'; // moved block (destination and vacated source)
+const PINK_COLOR = '#F8CBE5'; // number format changed (opt-in)
+// Outline (dashed border, no fill) of cells whose note or comment changed, so it shows beside a fill overlay
+const COMMENT_COLOR = '#7030A0';
+// Every overlay color we apply; cleanup only touches conditional formats in these colors (the fill-less comment
+// outline is found by its rule instead)
+const DIFF_COLORS = [GREEN_COLOR, RED_COLOR, ORANGE_COLOR, PEACH_COLOR, OVERLAY_COLOR, PURPLE_COLOR, ERROR_COLOR, TEAL_COLOR, BLUE_COLOR, GRAY_COLOR, PINK_COLOR];
 
 // Persisted settings helpers
 function saveSettingAsync(key, value) {
@@ -69,6 +93,7 @@ function normalizeColor(c) {
 // - Optional rule-based match (when options.matchRuleTypes === true):
 //   custom.rule.formula === '=TRUE' (ignoring case/leading '=') OR
 //   cellValue.rule operator 'greaterThan' and formula1 '-1'
+// (see isOverlayRule, which snapshots also use to leave these overlays out of captured rules)
 async function deleteTaggedOverlaysInRange(context, range, colors, options) {
   try {
     const cfs = range.conditionalFormats;
@@ -84,35 +109,23 @@ async function deleteTaggedOverlaysInRange(context, range, colors, options) {
     let deleted = 0;
     for (const cf of cfs.items) {
       try {
-        let shouldDelete = false;
-        // Color-based tag match
-        try {
-          let col = null;
-          try { col = cf.format && cf.format.fill ? cf.format.fill.color : null; } catch (_) { /* ignore */ }
-          if (!col) {
-            try { col = cf.custom && cf.custom.format && cf.custom.format.fill ? cf.custom.format.fill.color : null; } catch (_) { /* ignore */ }
-          }
-          if (!col) {
-            try { col = cf.cellValue && cf.cellValue.format && cf.cellValue.format.fill ? cf.cellValue.format.fill.color : null; } catch (_) { /* ignore */ }
-          }
-          if (col && colors && colors.has(normalizeColor(col))) { shouldDelete = true; }
-        } catch (_) { /* ignore */ }
-
-        // Rule-based tag match (stricter; only when asked)
-        if (!shouldDelete && options && options.matchRuleTypes) {
+        // Color-based tag match, then (only when asked) the stricter rule-based one
+        let col = null;
+        try { col = cf.format && cf.format.fill ? cf.format.fill.color : null; } catch (_) { /* ignore */ }
+        if (!col) {
+          try { col = cf.custom && cf.custom.format && cf.custom.format.fill ? cf.custom.format.fill.color : null; } catch (_) { /* ignore */ }
+        }
+        if (!col) {
+          try { col = cf.cellValue && cf.cellValue.format && cf.cellValue.format.fill ? cf.cellValue.format.fill.color : null; } catch (_) { /* ignore */ }
+        }
+        const rule = { type: cf.type, fill: col };
+        if (options && options.matchRuleTypes) {
           try {
-            if (cf.type === Excel.ConditionalFormatType.custom) {
-              const f = (cf.custom && cf.custom.rule && cf.custom.rule.formula) || '';
-              const norm = String(f).trim().replace(/^=/, '').toUpperCase();
-              if (norm === 'TRUE') { shouldDelete = true; }
-            } else if (cf.type === Excel.ConditionalFormatType.cellValue) {
-              const rule = cf.cellValue && cf.cellValue.rule;
-              const op = rule && rule.operator ? String(rule.operator).toLowerCase() : '';
-              const f1 = rule && rule.formula1 ? String(rule.formula1) : '';
-              if (op === 'greaterthan' && f1 === '-1') { shouldDelete = true; }
-            }
+            if (cf.type === Excel.ConditionalFormatType.custom) rule.formula = cf.custom.rule.formula;
+            else if (cf.type === Excel.ConditionalFormatType.cellValue) Object.assign(rule, cf.cellValue.rule);
           } catch (_) { /* ignore */ }
         }
+        const shouldDelete = isOverlayRule(rule, colors, { matchRuleTypes: Boolean(options && options.matchRuleTypes) });
 
         if (shouldDelete) { cf.delete(); deleted++; }
       } catch (_) { /* ignore */ }
@@ -193,33 +206,19 @@ async function deleteTaggedOverlaysForAddresses(context, worksheet, addresses, c
     for (const entry of entries) {
       for (const cf of entry.items) {
         try {
-          let shouldDelete = false;
-          // Color-based tag match
+          // Color-based tag match, then rule-based
+          let col = null;
+          try { col = cf.format && cf.format.fill ? cf.format.fill.color : null; } catch (_) {}
+          if (!col) { try { col = cf.custom && cf.custom.format && cf.custom.format.fill ? cf.custom.format.fill.color : null; } catch (_) {}
+          }
+          if (!col) { try { col = cf.cellValue && cf.cellValue.format && cf.cellValue.format.fill ? cf.cellValue.format.fill.color : null; } catch (_) {}
+          }
+          const rule = { type: cf.type, fill: col };
           try {
-            let col = null;
-            try { col = cf.format && cf.format.fill ? cf.format.fill.color : null; } catch (_) {}
-            if (!col) { try { col = cf.custom && cf.custom.format && cf.custom.format.fill ? cf.custom.format.fill.color : null; } catch (_) {}
-            }
-            if (!col) { try { col = cf.cellValue && cf.cellValue.format && cf.cellValue.format.fill ? cf.cellValue.format.fill.color : null; } catch (_) {}
-            }
-            if (col && colors && colors.has(normalizeColor(col))) shouldDelete = true;
+            if (cf.type === Excel.ConditionalFormatType.custom) rule.formula = cf.custom.rule.formula;
+            else if (cf.type === Excel.ConditionalFormatType.cellValue) Object.assign(rule, cf.cellValue.rule);
           } catch (_) {}
-
-          // Rule-based tag match
-          if (!shouldDelete) {
-            try {
-              if (cf.type === Excel.ConditionalFormatType.custom) {
-                const f = (cf.custom && cf.custom.rule && cf.custom.rule.formula) || '';
-                const norm = String(f).trim().replace(/^=/, '').toUpperCase();
-                if (norm === 'TRUE') shouldDelete = true;
-              } else if (cf.type === Excel.ConditionalFormatType.cellValue) {
-                const rule = cf.cellValue && cf.cellValue.rule;
-                const op = rule && rule.operator ? String(rule.operator).toLowerCase() : '';
-                const f1 = rule && rule.formula1 ? String(rule.formula1) : '';
-                if (op === 'greaterthan' && f1 === '-1') shouldDelete = true;
-              }
-            } catch (_) {}
-          }
+          const shouldDelete = isOverlayRule(rule, colors, { matchRuleTypes: true });
 
           if (shouldDelete) { cf.delete(); entry.deleted++; totalDeleted++; }
         } catch (_) { /* ignore */ }
@@ -262,42 +261,197 @@ function wireArchiveSnapshot() {
   btn.addEventListener("click", async () => {
     const msg = document.getElementById("validation");
     if (msg) msg.textContent = "Creating snapshot…";
+    const signal = beginCancelableRun();
     try {
   const workbookId = await getOrCreateWorkbookId();
-      const model = await buildWorkbookModel({ includeHidden: false, maxCellsPerSheet: 500000 });
+      const model = await buildWorkbookModel({
+        includeHidden: getIncludeHiddenSetting(),
+        includeNumberFormats: getCompareOptionsConfig().numberFormats,
+        includeStyles: getCompareOptionsConfig().styles,
+        includeLayout: getCompareOptionsConfig().layout,
+        overlayColors: DIFF_COLORS,
+        onProgress: progressReporter(msg),
+        signal,
+      });
       const name = `Snapshot ${new Date().toLocaleString()}`;
   const rec = await saveSnapshot(model, { name, workbookId });
-  await populateSnapshotDropdown();
+  await populateBaselinePickers(`snapshot:${rec.id}`);
       if (msg) msg.textContent = `Snapshot saved (${rec.sheetCount} sheets).`;
     } catch (e) {
-      if (msg) msg.textContent = "Failed to save snapshot: " + String(e && e.message ? e.message : e);
+      if (msg) msg.textContent = isCancelled(e) ? "Snapshot cancelled." : "Failed to save snapshot: " + String(e && e.message ? e.message : e);
+    } finally {
+      endCancelableRun(signal);
     }
   });
 }
 
-async function populateSnapshotDropdown() {
-  const sel = document.getElementById("baseline-snapshot");
-  if (!sel) return;
-  // Keep the first placeholder
-  while (sel.options.length > 1) sel.remove(1);
+// e.g. "42 KB" or "1.3 MB"
+function fileSizeText(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Picker text of a stored snapshot: a source badge, then its date and name, or for a kept upload the file's
+// name, size and modified date, e.g. "[Upload] Q3.xlsx — 42 KB, modified 10/1/2024 (3 sheets)"
+function snapshotOptionText(it) {
+  const sheets = `(${it.sheetCount} sheets)`;
+  const src = it.source;
+  if (!src) return `[Snapshot] ${new Date(it.ts).toLocaleString()} — ${it.name} ${sheets}`;
+  const details = [fileSizeText(src.fileSize)];
+  if (src.lastModified) details.push(`modified ${new Date(src.lastModified).toLocaleString()}`);
+  const badge = src.kind === 'csv' ? '[CSV]' : '[Upload]';
+  return `${badge} ${it.name} — ${details.filter(Boolean).join(', ')} ${sheets}`;
+}
+
+// Rebuild the baseline picker (snapshots, kept uploads and this session's uploads, each with a source badge) and
+// the three-way merge pickers: the ancestor lists the snapshots, their workbook the uploads, kept or not. Option
+// values are "snapshot:<id>" or "upload:<id>" (see baselineChoice); select picks the baseline picker's option, else
+// the current choices stay selected while still listed.
+async function populateBaselinePickers(select = null) {
+  const pickers = [
+    { id: 'baseline-picker', snapshots: true, uploads: true },
+    { id: 'merge-ancestor', snapshots: true, uploads: false },
+    { id: 'merge-theirs', snapshots: false, uploads: true },
+  ]
+    .map((p) => ({ ...p, sel: document.getElementById(p.id) }))
+    .filter((p) => p.sel);
+  if (!pickers.length) return;
+  let items = [];
   try {
-  const workbookId = await getOrCreateWorkbookId();
-  const items = await listSnapshotsByWorkbook(workbookId);
-    items.forEach((it) => {
-      const opt = document.createElement("option");
-      const date = new Date(it.ts).toLocaleString();
-      opt.value = it.id;
-      opt.text = `${date} — ${it.name} (${it.sheetCount} sheets)`;
-      sel.appendChild(opt);
-    });
+    const workbookId = await getOrCreateWorkbookId();
+    items = await listSnapshotsByWorkbook(workbookId);
   } catch (e) {
     const msg = document.getElementById("validation");
     if (msg) msg.textContent = "Failed to load snapshots: " + String(e && e.message ? e.message : e);
   }
+  const session = Array.from(uploadedBaselines.entries()).reverse(); // newest first
+  for (const { id, snapshots, uploads, sel } of pickers) {
+    const previous = sel.value;
+    // Keep the first placeholder
+    while (sel.options.length > 1) sel.remove(1);
+    const add = (value, text) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.text = text;
+      sel.appendChild(opt);
+    };
+    if (uploads) {
+      for (const [key, entry] of session) {
+        add(`upload:${key}`, `[Upload · this session] ${entry.name} (${entry.model.sheets.length} sheets)`);
+      }
+    }
+    for (const it of items) {
+      if (snapshots || it.source) add(`snapshot:${it.id}`, snapshotOptionText(it));
+    }
+    // Only the baseline picker follows a new baseline; the merge pickers keep their choice
+    const wanted = select && id === 'baseline-picker' ? select : previous;
+    sel.value = Array.from(sel.options).some((o) => o.value === wanted) ? wanted : '';
+  }
+}
+
+// ===== Cancelable background runs (upload parse, comparison) =====
+let activeRun = null; // AbortController of the running parse or diff
+
+// Start a cancelable run: shows the Cancel button and returns the run's AbortSignal
+function beginCancelableRun() {
+  if (activeRun) activeRun.abort();
+  activeRun = new AbortController();
+  const btn = document.getElementById('cancel-run');
+  if (btn) btn.classList.remove('is-hidden');
+  return activeRun.signal;
 }
 
-// In-memory stash for uploaded baselines this session
-const uploadedBaselines = new Map(); // id -> { name, model }
+function endCancelableRun(signal) {
+  if (!activeRun || activeRun.signal !== signal) return; // a newer run took over
+  activeRun = null;
+  const btn = document.getElementById('cancel-run');
+  if (btn) btn.classList.add('is-hidden');
+}
+
+function wireCancelRun() {
+  const btn = document.getElementById('cancel-run');
+  if (!btn) return;
+  btn.addEventListener('click', () => {
+    if (activeRun) activeRun.abort();
+  });
+}
+
+// Per-sheet progress (workbook capture, worker parse and diff) as a status line, e.g. "Comparing Sales (3/12)…"
+function progressReporter(msg) {
+  return (p) => {
+    if (!msg || !p) return;
+    if (p.phase === 'capture') {
+      msg.textContent = `Reading ${p.sheet} (sheet ${p.sheetIndex + 1}/${p.sheetCount}, ${p.done}/${p.total} rows)…`;
+      return;
+    }
+    const verb = p.phase === 'parse' ? 'Parsing' : 'Comparing';
+    msg.textContent = `${verb} ${p.sheet} (${p.done}/${p.total})…`;
+  };
+}
+
+// In-memory stash for uploaded baselines this session; uploads kept as snapshots are stored instead (see
+// keepUploadedBaseline)
+const uploadedBaselines = new Map(); // id -> { name, model, source }
+const KEEP_UPLOADS_KEY = 'cc_keep_uploads_v1';
+
+function getKeepUploadsSetting() {
+  return getSetting(KEEP_UPLOADS_KEY) === true;
+}
+
+function wireKeepUploads() {
+  const box = document.getElementById('keep-uploads');
+  if (!box) return;
+  box.checked = getKeepUploadsSetting();
+  box.addEventListener('change', async () => {
+    const msg = document.getElementById('validation');
+    try {
+      await saveSettingAsync(KEEP_UPLOADS_KEY, box.checked);
+      if (msg) {
+        msg.textContent = box.checked
+          ? 'New uploads will be kept as snapshots of this workbook.'
+          : 'New uploads will be kept for this session only.';
+      }
+    } catch (e) {
+      if (msg) msg.textContent = 'Failed to save setting: ' + String(e && e.message ? e.message : e);
+    }
+  });
+}
+
+// Snapshot source of uploaded files (see saveSnapshot); several CSV files count as one source
+function uploadSource(kind, files) {
+  const times = files.map((f) => f.lastModified).filter(Number.isFinite);
+  return {
+    kind,
+    fileName: files.map((f) => f.name).join(', '),
+    fileSize: files.reduce((sum, f) => sum + (f.size || 0), 0),
+    lastModified: times.length ? Math.max(...times) : null,
+  };
+}
+
+// Offer a parsed upload as a baseline and select it: stored as a snapshot named after the file when uploads are
+// kept, else for this session only. Returns a note for the status line.
+async function addUploadedBaseline(name, model, source) {
+  if (getKeepUploadsSetting()) {
+    try {
+      const workbookId = await getOrCreateWorkbookId();
+      const rec = await saveSnapshot(model, { name, workbookId, source });
+      await populateBaselinePickers(`snapshot:${rec.id}`);
+      return 'Kept as a snapshot.';
+    } catch (e) {
+      // Fall back to the session so the upload is not lost
+      const id = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+      uploadedBaselines.set(id, { name, model, source });
+      await populateBaselinePickers(`upload:${id}`);
+      return `Could not keep it as a snapshot (${String(e && e.message ? e.message : e)}); available this session only.`;
+    }
+  }
+  const id = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  uploadedBaselines.set(id, { name, model, source });
+  await populateBaselinePickers(`upload:${id}`);
+  return '';
+}
 
 function wireUploadBaseline() {
   const input = document.getElementById("upload-baseline");
@@ -309,44 +463,148 @@ function wireUploadBaseline() {
     });
   }
   input.addEventListener("change", async () => {
-    const msg = document.getElementById("validation");
-    const file = input.files && input.files[0];
-    if (!file) return;
-    if (msg) msg.textContent = "Parsing uploaded workbook…";
-    try {
-      const buf = await file.arrayBuffer();
-      const model = parseXlsxToModel(buf);
-      const id = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
-      uploadedBaselines.set(id, { name: file.name, model });
-      addUploadedBaselineOption(id, file.name, model);
-      if (msg) msg.textContent = `Uploaded baseline ready (${model.sheets.length} sheets).`;
-    } catch (e) {
-      if (msg) msg.textContent = "Failed to parse upload: " + String(e && e.message ? e.message : e);
-    } finally {
-      input.value = ""; // allow re-uploading same file
+    const files = Array.from(input.files || []);
+    input.value = ""; // allow re-uploading same file
+    const delimited = files.filter(isDelimitedFile);
+    if (delimited.length) await showCsvMapping(delimited);
+    for (const file of files.filter((f) => !isDelimitedFile(f))) {
+      if (!(await uploadWorkbookFile(file))) break;
     }
   });
+  wireCsvImport();
 }
 
-function addUploadedBaselineOption(id, name, model) {
-  const sel = document.getElementById("baseline-uploaded");
-  if (!sel) return;
-  const opt = document.createElement("option");
-  opt.value = id;
-  opt.text = `${name} (${model.sheets.length} sheets)`;
-  sel.appendChild(opt);
+// Parse one uploaded workbook into a baseline; false when it failed or was cancelled
+async function uploadWorkbookFile(file) {
+  const msg = document.getElementById("validation");
+  if (msg) msg.textContent = "Parsing uploaded workbook…";
+  const signal = beginCancelableRun();
+  try {
+    const buf = await file.arrayBuffer();
+    const model = await parseXlsxAsync(buf, {
+      includeHidden: getIncludeHiddenSetting(),
+      includeNumberFormats: getCompareOptionsConfig().numberFormats,
+      includeStyles: getCompareOptionsConfig().styles,
+      includeLayout: getCompareOptionsConfig().layout,
+      overlayColors: DIFF_COLORS,
+      onProgress: progressReporter(msg),
+      signal,
+    });
+    const kept = await addUploadedBaseline(file.name, model, uploadSource('upload', [file]));
+    const notes = [kept, ...(model.warnings || [])].filter(Boolean).join(' ');
+    if (msg) msg.textContent = `Uploaded baseline ready (${model.sheets.length} sheets).${notes ? ` ${notes}` : ''}`;
+    return true;
+  } catch (e) {
+    if (msg) msg.textContent = isCancelled(e) ? "Upload cancelled." : "Failed to parse upload: " + String(e && e.message ? e.message : e);
+    return false;
+  } finally {
+    endCancelableRun(signal);
+  }
 }
 
-// Removed in simplified UI
-// function wireInspectUpload() {}
-function clearUploadedBaselinesUI() {
-  // Clear the in-memory map and reset the uploaded dropdown to placeholder
-  uploadedBaselines.clear();
-  const sel = document.getElementById("baseline-uploaded");
-  if (sel) {
-    while (sel.options.length > 1) sel.remove(1);
-    sel.selectedIndex = 0;
+// ===== CSV/TSV baselines =====
+// Chosen delimited files wait in the mapping panel until Import; each is placed on a target sheet and anchor cell
+let pendingCsvFiles = []; // [{ file, sheetInput, anchorInput }]
+
+function isDelimitedFile(file) {
+  return /\.(csv|tsv|txt)$/i.test(file.name) || file.type === "text/csv" || file.type === "text/tab-separated-values";
+}
+
+function hideCsvMapping() {
+  pendingCsvFiles = [];
+  const panel = document.getElementById("csv-import-panel");
+  if (panel) panel.classList.add("is-hidden");
+  const list = document.getElementById("csv-file-list");
+  if (list) list.innerHTML = "";
+}
+
+// List the files with a target sheet (default: a current sheet named like the file, else the name Excel would give
+// it) and an anchor cell (default A1)
+async function showCsvMapping(files) {
+  const panel = document.getElementById("csv-import-panel");
+  const list = document.getElementById("csv-file-list");
+  const datalist = document.getElementById("csv-sheet-names");
+  if (!panel || !list) return;
+  let sheetNames = [];
+  try {
+    await Excel.run(async (context) => {
+      const wsCol = context.workbook.worksheets;
+      wsCol.load("items/name");
+      await context.sync();
+      sheetNames = wsCol.items.map((ws) => ws.name);
+    });
+  } catch (_) { /* suggestions are optional */ }
+  if (datalist) {
+    datalist.innerHTML = "";
+    for (const name of sheetNames) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      datalist.appendChild(opt);
+    }
   }
+  list.innerHTML = "";
+  pendingCsvFiles = files.map((file) => {
+    const guess = csvSheetName(file.name);
+    const match = sheetNames.find((n) => n.toLowerCase() === guess.toLowerCase());
+    const li = document.createElement("li");
+    const title = document.createElement("strong");
+    title.textContent = file.name;
+    const sheetInput = document.createElement("input");
+    sheetInput.type = "text";
+    sheetInput.className = "ms-font-m text-input";
+    sheetInput.setAttribute("list", "csv-sheet-names");
+    sheetInput.setAttribute("aria-label", `Target sheet for ${file.name}`);
+    sheetInput.value = match || (files.length === 1 && sheetNames.length === 1 ? sheetNames[0] : guess);
+    const anchorInput = document.createElement("input");
+    anchorInput.type = "text";
+    anchorInput.className = "ms-font-m text-input";
+    anchorInput.setAttribute("aria-label", `Anchor cell for ${file.name}`);
+    anchorInput.placeholder = "Anchor cell, e.g. A1";
+    anchorInput.value = "A1";
+    li.append(title, sheetInput, anchorInput);
+    list.appendChild(li);
+    return { file, sheetInput, anchorInput };
+  });
+  panel.classList.remove("is-hidden");
+  panel.open = true;
+  const msg = document.getElementById("validation");
+  if (msg) msg.textContent = "Choose the sheet and anchor cell for each CSV file, then click Import.";
+}
+
+function wireCsvImport() {
+  const importBtn = document.getElementById("csv-import");
+  const cancelBtn = document.getElementById("csv-cancel");
+  if (cancelBtn) cancelBtn.addEventListener("click", hideCsvMapping);
+  if (!importBtn) return;
+  importBtn.addEventListener("click", async () => {
+    const msg = document.getElementById("validation");
+    if (!pendingCsvFiles.length) return;
+    const orderSel = document.getElementById("csv-date-order");
+    const dateOrder = orderSel && orderSel.value === "dmy" ? "dmy" : "mdy";
+    const pending = pendingCsvFiles;
+    if (msg) msg.textContent = "Parsing CSV files…";
+    const signal = beginCancelableRun();
+    try {
+      const files = await Promise.all(
+        pending.map(async ({ file, sheetInput, anchorInput }) => ({
+          buffer: await file.arrayBuffer(),
+          name: file.name,
+          sheet: sheetInput.value.trim() || csvSheetName(file.name),
+          anchor: anchorInput.value.trim() || "A1",
+        }))
+      );
+      const model = await parseCsvAsync(files, { dateOrder, onProgress: progressReporter(msg), signal });
+      const name = pending.length === 1 ? pending[0].file.name : `${pending.length} CSV files`;
+      const kept = await addUploadedBaseline(name, model, uploadSource('csv', pending.map((p) => p.file)));
+      hideCsvMapping();
+      const placed = model.csvFiles.map((f) => `${f.file} → ${f.sheet}!${f.anchor} (${f.encoding}, ${f.delimiter})`);
+      if (msg) msg.textContent = `CSV baseline ready: ${placed.join('; ')}.${kept ? ` ${kept}` : ''}`;
+    } catch (e) {
+      if (msg) msg.textContent = isCancelled(e) ? "Upload cancelled." : "Failed to import CSV: " + String(e && e.message ? e.message : e);
+    } finally {
+      endCancelableRun(signal);
+    }
+  });
 }
 
 function wireClearBaselines() {
@@ -378,8 +636,8 @@ function wireClearBaselines() {
         for (const it of items) {
           try { await deleteSnapshot(it.id); } catch (_) { /* ignore individual errors */ }
         }
-        await populateSnapshotDropdown();
-        clearUploadedBaselinesUI();
+        uploadedBaselines.clear();
+        await populateBaselinePickers();
         if (msg) msg.textContent = "All baselines for this workbook deleted (snapshots and uploads).";
       } catch (e) {
         if (msg) msg.textContent = "Failed to clear baselines: " + String(e && e.message ? e.message : e);
@@ -394,19 +652,433 @@ function wireClearBaselines() {
   });
 }
 
-function pickSelectedBaseline() {
-  const snapSel = document.getElementById("baseline-snapshot");
-  const upSel = document.getElementById("baseline-uploaded");
-  const snapId = snapSel ? snapSel.value : "";
-  const upId = upSel ? upSel.value : "";
-  if (upId) {
-    const entry = uploadedBaselines.get(upId);
-    return entry ? { source: "upload", name: entry.name, model: entry.model } : null;
+// ===== Comparison options =====
+// Persisted per workbook: { absTolerance, relTolerance, caseSensitive, whitespace, formulaLiteralSwap, numberFormats, styles, layout }
+const COMPARE_OPTIONS_KEY = 'cc_compare_options_v1';
+
+function getCompareOptionsConfig() {
+  const cfg = getSetting(COMPARE_OPTIONS_KEY);
+  return normalizeCompareOptions(cfg && typeof cfg === 'object' ? cfg : {});
+}
+
+function fillCompareOptionsForm(opts) {
+  const set = (id, apply) => {
+    const el = document.getElementById(id);
+    if (el) apply(el);
+  };
+  set('opt-abs-tolerance', (el) => { el.value = opts.absTolerance ? String(opts.absTolerance) : ''; });
+  set('opt-rel-tolerance', (el) => { el.value = opts.relTolerance ? String(opts.relTolerance) : ''; });
+  set('opt-whitespace', (el) => { el.value = opts.whitespace; });
+  set('opt-case-sensitive', (el) => { el.checked = opts.caseSensitive; });
+  set('opt-formula-swap', (el) => { el.checked = opts.formulaLiteralSwap; });
+  set('opt-number-formats', (el) => { el.checked = opts.numberFormats; });
+  set('opt-styles', (el) => { el.checked = opts.styles; });
+  set('opt-layout', (el) => { el.checked = opts.layout; });
+}
+
+function readCompareOptionsForm() {
+  const val = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+  const checked = (id) => { const el = document.getElementById(id); return !!(el && el.checked); };
+  return normalizeCompareOptions({
+    absTolerance: val('opt-abs-tolerance') === '' ? 0 : Number(val('opt-abs-tolerance')),
+    relTolerance: val('opt-rel-tolerance') === '' ? 0 : Number(val('opt-rel-tolerance')),
+    whitespace: val('opt-whitespace'),
+    caseSensitive: checked('opt-case-sensitive'),
+    formulaLiteralSwap: checked('opt-formula-swap'),
+    numberFormats: checked('opt-number-formats'),
+    styles: checked('opt-styles'),
+    layout: checked('opt-layout'),
+  });
+}
+
+function wireCompareOptions() {
+  const saveBtn = document.getElementById('opt-save');
+  const resetBtn = document.getElementById('opt-reset');
+  if (!saveBtn) return;
+  fillCompareOptionsForm(getCompareOptionsConfig());
+  const save = async (opts, done) => {
+    const msg = document.getElementById('validation');
+    try {
+      await saveSettingAsync(COMPARE_OPTIONS_KEY, opts);
+      fillCompareOptionsForm(opts);
+      if (msg) msg.textContent = done;
+    } catch (e) {
+      if (msg) msg.textContent = 'Failed to save comparison options: ' + String(e && e.message ? e.message : e);
+    }
+  };
+  saveBtn.addEventListener('click', () => save(readCompareOptionsForm(), 'Comparison options saved. Run Start Diff to apply them.'));
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => save(normalizeCompareOptions({}), 'Comparison options reset to defaults.'));
+  }
+}
+
+// ===== Hidden sheets =====
+// Persisted per workbook: whether snapshots, uploads and comparisons include hidden and very hidden sheets
+const INCLUDE_HIDDEN_KEY = 'cc_include_hidden_v1';
+
+function getIncludeHiddenSetting() {
+  return getSetting(INCLUDE_HIDDEN_KEY) === true;
+}
+
+function wireIncludeHidden() {
+  const box = document.getElementById('include-hidden');
+  if (!box) return;
+  box.checked = getIncludeHiddenSetting();
+  box.addEventListener('change', async () => {
+    const msg = document.getElementById('validation');
+    try {
+      await saveSettingAsync(INCLUDE_HIDDEN_KEY, box.checked);
+      if (msg) {
+        msg.textContent = box.checked
+          ? 'Hidden sheets will be included in new snapshots, uploads and comparisons.'
+          : 'Hidden sheets will be skipped.';
+      }
+    } catch (e) {
+      if (msg) msg.textContent = 'Failed to save setting: ' + String(e && e.message ? e.message : e);
+    }
+  });
+}
+
+// ===== Key-column (record) matching settings =====
+// Persisted per workbook: { [sheetName]: { columns: [header or column letter, ...], headerRow: 1-based row | null } }
+const KEY_COLUMNS_KEY = 'cc_key_columns_v1';
+
+function getKeyColumnsConfig() {
+  const cfg = getSetting(KEY_COLUMNS_KEY);
+  return cfg && typeof cfg === 'object' ? cfg : {};
+}
+
+function renderKeyColumnsList() {
+  const list = document.getElementById('key-columns-list');
+  if (!list) return;
+  list.innerHTML = '';
+  for (const [sheet, spec] of Object.entries(getKeyColumnsConfig())) {
+    const li = document.createElement('li');
+    const header = spec.headerRow ? `header row ${spec.headerRow}` : 'header row auto';
+    li.textContent = `${sheet}: ${(spec.columns || []).join(', ')} (${header})`;
+    list.appendChild(li);
+  }
+}
+
+// Fill sheet pickers (by element id) with the current workbook's sheet names
+async function populateSheetDropdowns(ids) {
+  const selects = ids.map((id) => document.getElementById(id)).filter(Boolean);
+  if (!selects.length) return;
+  try {
+    await Excel.run(async (context) => {
+      const wsCol = context.workbook.worksheets;
+      wsCol.load('items/name');
+      await context.sync();
+      for (const sel of selects) {
+        while (sel.options.length) sel.remove(0);
+        for (const ws of wsCol.items) {
+          const opt = document.createElement('option');
+          opt.value = ws.name;
+          opt.text = ws.name;
+          sel.appendChild(opt);
+        }
+        sel.dispatchEvent(new Event('change'));
+      }
+    });
+  } catch (_) { /* ignore: dropdowns stay empty */ }
+}
+
+function wireKeyColumns() {
+  const sel = document.getElementById('key-sheet');
+  const colsInput = document.getElementById('key-columns');
+  const headerInput = document.getElementById('key-header-row');
+  const saveBtn = document.getElementById('key-save');
+  const removeBtn = document.getElementById('key-remove');
+  if (!sel || !colsInput || !saveBtn) return;
+  renderKeyColumnsList();
+  // Show the stored spec for the chosen sheet
+  sel.addEventListener('change', () => {
+    const spec = getKeyColumnsConfig()[sel.value];
+    colsInput.value = spec ? (spec.columns || []).join(', ') : '';
+    if (headerInput) headerInput.value = spec && spec.headerRow ? String(spec.headerRow) : '';
+  });
+  saveBtn.addEventListener('click', async () => {
+    const msg = document.getElementById('validation');
+    const columns = colsInput.value.split(',').map((c) => c.trim()).filter(Boolean);
+    if (!sel.value || !columns.length) {
+      if (msg) msg.textContent = 'Pick a sheet and enter at least one key column.';
+      return;
+    }
+    const headerRow = headerInput ? parseInt(headerInput.value, 10) : NaN;
+    const cfg = { ...getKeyColumnsConfig(), [sel.value]: { columns, headerRow: headerRow > 0 ? headerRow : null } };
+    try {
+      await saveSettingAsync(KEY_COLUMNS_KEY, cfg);
+      renderKeyColumnsList();
+      if (msg) msg.textContent = `Key columns saved for ${sel.value}.`;
+    } catch (e) {
+      if (msg) msg.textContent = 'Failed to save key columns: ' + String(e && e.message ? e.message : e);
+    }
+  });
+  if (removeBtn) {
+    removeBtn.addEventListener('click', async () => {
+      const msg = document.getElementById('validation');
+      const cfg = { ...getKeyColumnsConfig() };
+      delete cfg[sel.value];
+      try {
+        await saveSettingAsync(KEY_COLUMNS_KEY, cfg);
+        colsInput.value = '';
+        if (headerInput) headerInput.value = '';
+        renderKeyColumnsList();
+        if (msg) msg.textContent = `${sel.value} will be compared by position.`;
+      } catch (e) {
+        if (msg) msg.textContent = 'Failed to save key columns: ' + String(e && e.message ? e.message : e);
+      }
+    });
+  }
+}
+
+// ===== Manual sheet mapping (rename overrides) =====
+// Persisted per workbook: { [currentSheetName]: baselineSheetName }
+const SHEET_MAP_KEY = 'cc_sheet_map_v1';
+
+function getSheetMapConfig() {
+  const cfg = getSetting(SHEET_MAP_KEY);
+  return cfg && typeof cfg === 'object' ? cfg : {};
+}
+
+function renderSheetMapList() {
+  const list = document.getElementById('sheet-map-list');
+  if (!list) return;
+  list.innerHTML = '';
+  for (const [current, baseline] of Object.entries(getSheetMapConfig())) {
+    const li = document.createElement('li');
+    li.textContent = `${current} ← ${baseline}`;
+    list.appendChild(li);
+  }
+}
+
+// Offer the selected baseline's sheet names as suggestions for the mapping input
+async function refreshBaselineSheetSuggestions() {
+  const datalist = document.getElementById('map-baseline-names');
+  if (!datalist) return;
+  datalist.innerHTML = '';
+  try {
+    const choice = pickSelectedBaseline();
+    if (!choice) return;
+    let model = choice.model || null;
+    if (!model && choice.source === 'snapshot') {
+      const rec = await getSnapshot(choice.id);
+      model = rec && rec.model;
+    }
+    for (const sh of (model && model.sheets) || []) {
+      const opt = document.createElement('option');
+      opt.value = sh.name;
+      datalist.appendChild(opt);
+    }
+  } catch (_) { /* suggestions are optional */ }
+}
+
+function wireSheetMap() {
+  const sel = document.getElementById('map-sheet');
+  const input = document.getElementById('map-baseline');
+  const saveBtn = document.getElementById('map-save');
+  const removeBtn = document.getElementById('map-remove');
+  if (!sel || !input || !saveBtn) return;
+  renderSheetMapList();
+  sel.addEventListener('change', () => {
+    input.value = getSheetMapConfig()[sel.value] || '';
+  });
+  const baselineSel = document.getElementById('baseline-picker');
+  if (baselineSel) baselineSel.addEventListener('change', refreshBaselineSheetSuggestions);
+  saveBtn.addEventListener('click', async () => {
+    const msg = document.getElementById('validation');
+    const target = input.value.trim();
+    if (!sel.value || !target) {
+      if (msg) msg.textContent = 'Pick a sheet and enter the baseline sheet name it corresponds to.';
+      return;
+    }
+    try {
+      await saveSettingAsync(SHEET_MAP_KEY, { ...getSheetMapConfig(), [sel.value]: target });
+      renderSheetMapList();
+      if (msg) msg.textContent = `${sel.value} will be compared against baseline sheet ${target}.`;
+    } catch (e) {
+      if (msg) msg.textContent = 'Failed to save sheet mapping: ' + String(e && e.message ? e.message : e);
+    }
+  });
+  if (removeBtn) {
+    removeBtn.addEventListener('click', async () => {
+      const msg = document.getElementById('validation');
+      const cfg = { ...getSheetMapConfig() };
+      delete cfg[sel.value];
+      try {
+        await saveSettingAsync(SHEET_MAP_KEY, cfg);
+        input.value = '';
+        renderSheetMapList();
+        if (msg) msg.textContent = `${sel.value} will be matched automatically.`;
+      } catch (e) {
+        if (msg) msg.textContent = 'Failed to save sheet mapping: ' + String(e && e.message ? e.message : e);
+      }
+    });
   }
-  if (snapId) {
-    return { source: "snapshot", id: snapId };
+}
+
+// ===== Three-way merge =====
+// Ancestor = snapshot, mine = open workbook, theirs = uploaded copy. Theirs-only edits are written here in one
+// batch; conflicts get a purple overlay (cleared by Stop Diff) and are listed for manual resolution.
+
+function cellAddress(row, col) {
+  return toA1(row, col, row, col).split(':')[0].replace(/\$/g, '');
+}
+
+// Queue a write of a model cell into a one-cell range; formulas go in relative R1C1 so they follow the new position.
+// Dates go back into the target workbook's date system (date1904, see dates.js).
+function writeModelCell(range, cell, date1904 = false) {
+  if (cell && typeof cell.f === 'string' && cell.f) {
+    if (cell.r1c1) range.formulasR1C1 = [[cell.r1c1]];
+    else range.formulas = [[cell.f]];
+  } else {
+    range.values = [[cell && cell.v != null ? workbookDateValue(cell.v, cell.nf, date1904) : '']];
   }
-  return null;
+}
+
+async function writeCellToSheet(sheetName, row, col, cell) {
+  await Excel.run(async (context) => {
+    const date1904 = await captureDate1904(context);
+    const ws = context.workbook.worksheets.getItem(sheetName);
+    writeModelCell(ws.getRangeByIndexes(row, col, 1, 1), cell, date1904);
+    await context.sync();
+  });
+}
+
+function renderMergeConflicts(result) {
+  const list = document.getElementById('merge-conflicts');
+  if (!list) return;
+  list.innerHTML = '';
+  const items = [...result.notes];
+  const conflicts = [];
+  for (const [sheetName, s] of Object.entries(result.bySheet)) {
+    for (const note of s.notes) items.push(`${sheetName}: ${note}`);
+    for (const e of s.entries) if (e.kind === MERGE_CONFLICT) conflicts.push({ sheetName, e });
+  }
+  for (const text of items.slice(0, MAX_RESULT_ITEMS)) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  }
+  for (const { sheetName, e } of conflicts.slice(0, MAX_RESULT_ITEMS)) {
+    const li = document.createElement('li');
+    const text = document.createElement('div');
+    const was = formatValueForDisplay(e.ancestor) || '(blank)';
+    text.textContent = `${sheetName}!${cellAddress(e.row, e.col)}: here ${formatValueForDisplay(e.mine) || '(blank)'} · theirs ${formatValueForDisplay(e.theirs) || '(blank)'} (was ${was})`;
+    li.appendChild(text);
+    const resolve = (label, take) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'ms-Button third';
+      btn.innerHTML = `<span class="ms-Button-label">${label}</span>`;
+      btn.addEventListener('click', async () => {
+        try {
+          if (take) await writeCellToSheet(sheetName, e.row, e.col, e.theirs);
+          li.textContent = `${sheetName}!${cellAddress(e.row, e.col)}: kept ${take ? 'theirs' : 'mine'}`;
+        } catch (err) {
+          const msg = document.getElementById('validation');
+          if (msg) msg.textContent = 'Failed to resolve conflict: ' + String(err && err.message ? err.message : err);
+        }
+      });
+      li.appendChild(btn);
+    };
+    resolve('Keep mine', false);
+    resolve('Take theirs', true);
+    list.appendChild(li);
+  }
+  if (conflicts.length > MAX_RESULT_ITEMS) {
+    const li = document.createElement('li');
+    li.textContent = `… and ${conflicts.length - MAX_RESULT_ITEMS} more conflicts (highlighted in purple)`;
+    list.appendChild(li);
+  }
+}
+
+// Write theirs-only edits and highlight conflicts, one batch per sheet
+async function applyMergeResult(result) {
+  await Excel.run(async (context) => {
+    const applied = getSetting(APPLIED_ADDRESSES_KEY) || {};
+    const date1904 = await captureDate1904(context);
+    for (const [sheetName, s] of Object.entries(result.bySheet)) {
+      const ws = context.workbook.worksheets.getItem(sheetName);
+      const conflictRanges = [];
+      for (const e of s.entries) {
+        if (e.kind === MERGE_THERE) writeModelCell(ws.getRangeByIndexes(e.row, e.col, 1, 1), e.theirs, date1904);
+        else if (e.kind === MERGE_CONFLICT) conflictRanges.push(toA1(e.row, e.col, e.row, e.col));
+      }
+      // eslint-disable-next-line office-addins/no-context-sync-in-loop
+      await context.sync();
+      if (conflictRanges.length) {
+        await applyGroupsToSheet(context, ws, { conflict: conflictRanges }, null);
+        applied[sheetName] = [...(Array.isArray(applied[sheetName]) ? applied[sheetName] : []), ...conflictRanges];
+      }
+    }
+    await saveSettingAsync(APPLIED_ADDRESSES_KEY, applied);
+  });
+}
+
+function wireThreeWayMerge() {
+  const btn = document.getElementById('merge-run');
+  if (!btn) return;
+  btn.addEventListener('click', async () => {
+    const msg = document.getElementById('validation');
+    const ancestorChoice = baselineChoice((document.getElementById('merge-ancestor') || {}).value);
+    const theirsChoice = baselineChoice((document.getElementById('merge-theirs') || {}).value);
+    if (!ancestorChoice || !theirsChoice) {
+      if (msg) msg.textContent = 'Pick the ancestor snapshot and their uploaded workbook first.';
+      return;
+    }
+    if (msg) msg.textContent = 'Merging…';
+    const signal = beginCancelableRun();
+    try {
+      const rec = await getSnapshot(ancestorChoice.id);
+      if (!rec || !rec.model) throw new Error('Snapshot missing model');
+      const theirs = await loadBaseline(theirsChoice);
+      const current = await buildWorkbookModel({
+        includeHidden: getIncludeHiddenSetting(),
+        onProgress: progressReporter(msg),
+        signal,
+      });
+      const [ancestor, mine, theirsModel] = commonSheetScope([rec.model, current, theirs.model]);
+      const result = mergeWorkbooks(ancestor, mine, theirsModel, {
+        ...getCompareOptionsConfig(),
+        keyColumns: getKeyColumnsConfig(),
+        sheetMap: getSheetMapConfig(),
+      });
+      await applyMergeResult(result);
+      renderMergeConflicts(result);
+      const { here, there, same, conflict } = result.counts;
+      if (msg) {
+        msg.textContent = `Merged ${theirs.name}: ${there} applied · ${conflict} conflicts · ${same} changed identically · ${here} changed only here`;
+      }
+    } catch (e) {
+      if (msg) msg.textContent = isCancelled(e) ? 'Merge cancelled.' : 'Failed to merge: ' + String(e && e.message ? e.message : e);
+    } finally {
+      endCancelableRun(signal);
+    }
+  });
+}
+
+// Baseline named by a picker value (see populateBaselinePickers): { source: "upload", name, model } for an upload
+// of this session, { source: "snapshot", id } for a stored snapshot (kept uploads included), else null
+function baselineChoice(value) {
+  const [kind, id] = String(value || '').split(/:(.*)/);
+  if (kind === 'upload') {
+    const entry = uploadedBaselines.get(id);
+    return entry ? { source: "upload", name: entry.name, model: entry.model } : null;
+  }
+  return kind === 'snapshot' && id ? { source: "snapshot", id } : null;
+}
+
+function pickSelectedBaseline() {
+  return baselineChoice((document.getElementById("baseline-picker") || {}).value);
+}
+
+// { name, model } of a baseline choice, reading stored snapshots
+async function loadBaseline(choice) {
+  if (choice.source === "upload") return { name: choice.name, model: choice.model };
+  const rec = await getSnapshot(choice.id);
+  if (!rec || !rec.model) throw new Error("Snapshot missing model");
+  return { name: rec.name, model: rec.model };
 }
 
 function wireRunCrossWorkbookSummary() {
@@ -421,8 +1093,19 @@ function wireRunCrossWorkbookSummary() {
       return;
     }
     if (msg) msg.textContent = "Building models and computing diff…";
+    const signal = beginCancelableRun();
     try {
-      const current = await buildWorkbookModel({ includeHidden: false, maxCellsPerSheet: 500000 });
+      const includeHidden = getIncludeHiddenSetting();
+      const compareOptions = getCompareOptionsConfig();
+      let current = await buildWorkbookModel({
+        includeHidden,
+        includeNumberFormats: compareOptions.numberFormats,
+        includeStyles: compareOptions.styles,
+        includeLayout: compareOptions.layout,
+        overlayColors: DIFF_COLORS,
+        onProgress: progressReporter(msg),
+        signal,
+      });
       let baselineModel = null;
       let baseName = "Baseline";
       if (choice.source === "upload") {
@@ -434,15 +1117,30 @@ function wireRunCrossWorkbookSummary() {
         baselineModel = rec.model;
         baseName = rec.name || baseName;
       }
-  const diff = diffWorkbooks(current, baselineModel);
+      // Hidden sheets are compared only when the baseline was taken with them too
+      const hiddenSkipped = includeHidden && !baselineModel.includesHidden;
+      const formatsSkipped = compareOptions.numberFormats && !baselineModel.numberFormats;
+      const stylesSkipped = compareOptions.styles && !baselineModel.styles;
+      const layoutSkipped = compareOptions.layout && !baselineModel.layout;
+      [current, baselineModel] = commonSheetScope([current, baselineModel]);
+  const diff = await diffWorkbooksAsync(current, baselineModel, {
+    ...compareOptions,
+    keyColumns: getKeyColumnsConfig(),
+    sheetMap: getSheetMapConfig(),
+    onProgress: progressReporter(msg),
+    signal,
+  });
   // Cache diff for lazy per-sheet formatting
   await cacheDiffForLazyApply(diff);
   
   diffEnabled = true;
   // Keep baseline model available for selection callouts
   lastBaselineModelMem = baselineModel;
+  lastChangesMem = diff.changes;
+  lastStyleGroupsMem = diff.styleGroups || null;
   
   await applyTabColors(diff);
+  renderDiffResults(diff);
   // Apply full-sheet green overlays for sheets that are entirely new
   try { await applyAddedSheetOverlays(diff); } catch (_) {}
   // Immediately apply formatting for the currently active sheet
@@ -455,6 +1153,30 @@ function wireRunCrossWorkbookSummary() {
           const parts = [`${diff.summary.total.changedSheets} changed sheets`];
           if (addedSheets.length) parts.push(`${addedSheets.length} added`);
           if (removedSheets.length) parts.push(`${removedSheets.length} removed`);
+          if (diff.renames && diff.renames.length) parts.push(`${diff.renames.length} renamed`);
+          const { errors, errorsResolved, typeChanged } = diff.summary.total;
+          if (errors) parts.push(`${errors} new errors`);
+          if (typeChanged) parts.push(`${typeChanged} type changes`);
+          if (errorsResolved) parts.push(`${errorsResolved} errors resolved`);
+          if (diff.moves && diff.moves.length) parts.push(`${diff.moves.length} moved blocks`);
+          if (diff.summary.total.numberFormat) parts.push(`${diff.summary.total.numberFormat} number format changes`);
+          if (diff.summary.total.style) parts.push(`${diff.summary.total.style} style changes`);
+          if (diff.summary.total.comment) parts.push(`${diff.summary.total.comment} note/comment changes`);
+          if (diff.summary.total.layout) parts.push(`${diff.summary.total.layout} layout changes`);
+          if (diff.summary.total.array) parts.push(`${diff.summary.total.array} spill/array formula changes`);
+          if (diff.workbook && diff.workbook.changed) parts.push(`${diff.workbook.changed} workbook changes`);
+          if (diff.tables && diff.tables.count) parts.push(`${diff.tables.count} table changes`);
+          if (diff.rules && diff.rules.count) parts.push(`${diff.rules.count} rule changes`);
+          if (hiddenSkipped) parts.push('hidden sheets skipped (baseline taken without them)');
+          if (formatsSkipped) parts.push('number formats not compared (baseline taken without them)');
+          if (layoutSkipped) parts.push('layout not compared (baseline taken without it)');
+          if (stylesSkipped) parts.push('styles not compared (baseline taken without them)');
+          else if (diff.styleGroups && diff.styleGroups.length < Object.keys(STYLE_GROUPS).length) {
+            parts.push(`only ${diff.styleGroups.join(', ')} styles compared`);
+          }
+          if (current.truncatedSheets && current.truncatedSheets.length) {
+            parts.push(`only the first rows compared on ${current.truncatedSheets.join(', ')}`);
+          }
           
           msg.textContent = `Compared against ${baseName}: ${parts.join(' · ')}`;
         } catch (_) {
@@ -462,13 +1184,191 @@ function wireRunCrossWorkbookSummary() {
         }
       }
     } catch (e) {
-      if (msg) msg.textContent = "Failed to compute diff: " + String(e && e.message ? e.message : e);
+      if (msg) msg.textContent = isCancelled(e) ? "Comparison cancelled." : "Failed to compute diff: " + String(e && e.message ? e.message : e);
+    } finally {
+      endCancelableRun(signal);
     }
   });
 }
 
 // Logging utilities removed for production UI
 
+// Cap on rendered result lines; large record diffs would otherwise flood the pane
+const MAX_RESULT_ITEMS = 500;
+
+// Changed cells listed per hidden sheet (hidden sheets cannot show overlays)
+const MAX_HIDDEN_SHEET_CHANGES = 200;
+
+// Style changes listed per sheet (they get no overlay, see CODE_STYLE in diff.js)
+const MAX_STYLE_CHANGES = 200;
+
+// Old or new side of a change record as shown in the pane
+function changeSideText(side) {
+  if (side.formula) return side.formula;
+  return side.value == null || side.value === '' ? '(blank)' : String(side.value);
+}
+
+// Where a change record sits, e.g. "Data!B5" or "Data!B5 (Sales[Region] row 4)"
+function changeLocation(name, rec) {
+  return rec.table ? `${name}!${rec.address} (${rec.table.label})` : `${name}!${rec.address}`;
+}
+
+// Change notes for hidden sheets, e.g. "Calc!B5 value: 1 → 2"
+function describeHiddenSheets(diff) {
+  const notes = [];
+  for (const name of (diff && diff.hiddenSheets) || []) {
+    if (diff.sheetStatus && diff.sheetStatus[name] === 'added') {
+      notes.push(`${name}: sheet added`);
+      continue;
+    }
+    if (!diff.changes) continue;
+    // Cells of a changed spill or array formula are listed as one change at its anchor
+    const changes = diff.changes.forSheet(name).grouped();
+    const shown = changes.page(0, MAX_HIDDEN_SHEET_CHANGES);
+    for (const rec of shown) {
+      if (rec.category === 'array') notes.push(`${name}!${rec.address}: ${describeArrayChange(rec.array)}`);
+      else if (rec.category === 'style') notes.push(`${changeLocation(name, rec)} style: ${styleChangeText(rec)}`);
+      else if (rec.category === 'comment') notes.push(`${changeLocation(name, rec)} ${describeCommentChange(rec.comment)}`);
+      else if (rec.category === 'layout') notes.push(`${name}: ${describeLayoutChange(rec.layout)}`);
+      else notes.push(`${changeLocation(name, rec)} ${rec.category}: ${changeSideText(rec.old)} → ${changeSideText(rec.new)}`);
+    }
+    if (shown.length === MAX_HIDDEN_SHEET_CHANGES) {
+      const more = changes.count() - shown.length;
+      if (more > 0) notes.push(`${name}: … and ${more} more changes`);
+    }
+  }
+  return notes;
+}
+
+// Style groups compared by the last diff; all groups when unknown (e.g. after a reload)
+function comparedStyleGroups() {
+  return lastStyleGroupsMem || Object.keys(STYLE_GROUPS);
+}
+
+// e.g. "bold on (was off); fill #FFFF00 (was none)"
+function styleChangeText(rec) {
+  return describeStyleChange(rec.new.style, rec.old.style, comparedStyleGroups());
+}
+
+// Style change notes for visible sheets, e.g. "Data!B5: bold on (was off)"; hidden sheets list theirs separately
+function describeStyleChanges(diff) {
+  const notes = [];
+  if (!diff || !diff.changes || !diff.summary.total.style) return notes;
+  const hidden = new Set(diff.hiddenSheets || []);
+  for (const name of Object.keys(diff.bySheet || {})) {
+    if (hidden.has(name) || !diff.bySheet[name].counts.style) continue;
+    const changes = diff.changes.forSheet(name).forCategory(['style']);
+    const shown = changes.page(0, MAX_STYLE_CHANGES);
+    for (const rec of shown) notes.push(`${changeLocation(name, rec)}: ${styleChangeText(rec)}`);
+    const more = changes.count() - shown.length;
+    if (more > 0) notes.push(`${name}: … and ${more} more style changes`);
+  }
+  return notes;
+}
+
+// Note and comment changes for visible sheets, e.g. 'Data!B5: comment by Ann added: "Check Q3"'
+function describeCommentChanges(diff) {
+  const notes = [];
+  const hidden = new Set((diff && diff.hiddenSheets) || []);
+  for (const [name, s] of Object.entries((diff && diff.bySheet) || {})) {
+    if (hidden.has(name)) continue;
+    for (const entry of s.comments || []) notes.push(`${name}!${entry.address}: ${describeCommentChange(entry)}`);
+  }
+  return notes;
+}
+
+// Layout changes for visible sheets, e.g. "Data: rows 4:6 hidden" or "Data: B2:D2 merged"
+function describeLayoutChanges(diff) {
+  const notes = [];
+  const hidden = new Set((diff && diff.hiddenSheets) || []);
+  for (const [name, s] of Object.entries((diff && diff.bySheet) || {})) {
+    if (hidden.has(name)) continue;
+    for (const entry of s.layout || []) notes.push(`${name}: ${describeLayoutChange(entry)}`);
+  }
+  return notes;
+}
+
+// Spill and array formula changes for visible sheets, named by anchor cell, e.g. "Data!D2: spill grew from 10 to 14
+// rows"
+function describeArrayChanges(diff) {
+  const notes = [];
+  const hidden = new Set((diff && diff.hiddenSheets) || []);
+  for (const [name, s] of Object.entries((diff && diff.bySheet) || {})) {
+    if (hidden.has(name)) continue;
+    for (const entry of s.arrays || []) notes.push(`${name}!${entry.address}: ${describeArrayChange(entry)}`);
+  }
+  return notes;
+}
+
+// Result notes shown under the status message: a "Workbook" section (defined names, sheet order and visibility),
+// Excel table changes, conditional format and data validation rule changes, per-sheet notes (warnings, moved blocks,
+// inserted/deleted rows and columns, key-column records), spill and array formula changes, style changes, note and
+// comment changes, layout changes (merges, hidden rows and columns, freeze panes), and the changed cells of hidden
+// sheets
+function renderDiffResults(diff) {
+  const container = document.getElementById("diff-results");
+  if (!container) return;
+  container.innerHTML = "";
+  const items = [];
+  for (const r of (diff && diff.renames) || []) {
+    const how = r.manual ? 'mapped manually' : `${Math.round(r.similarity * 100)}% similar`;
+    items.push(`${r.to}: renamed from ${r.from} (${how})`);
+  }
+  for (const [name, s] of Object.entries((diff && diff.bySheet) || {})) {
+    for (const note of s.warnings || []) items.push(`${name}: ${note}`);
+    for (const m of s.moves || []) {
+      if (m.role === 'to') items.push(`${name}: ${toA1(m.rect.r1, m.rect.c1, m.rect.r2, m.rect.c2).replace(/\$/g, '')} ${m.label}`);
+    }
+    for (const note of describeStructure(s.structure)) items.push(`${name}: ${note}`);
+    for (const note of describeRecords(s.records)) items.push(`${name}: ${note}`);
+  }
+  const sections = [
+    { title: 'Workbook', items: describeWorkbook(diff && diff.workbook) },
+    { title: 'Tables', items: describeTables(diff && diff.tables) },
+    { title: 'Rules', items: describeRules(diff && diff.rules) },
+    { title: 'Sheets', items },
+    { title: 'Arrays', items: describeArrayChanges(diff) },
+    { title: 'Styles', items: describeStyleChanges(diff) },
+    { title: 'Comments', items: describeCommentChanges(diff) },
+    { title: 'Layout', items: describeLayoutChanges(diff) },
+    { title: 'Hidden sheets', items: describeHiddenSheets(diff) },
+  ].filter((section) => section.items.length);
+  if (!sections.length) {
+    container.classList.add("is-hidden");
+    return;
+  }
+  for (const section of sections) {
+    // Per-sheet notes alone need no heading
+    if (sections.length > 1 || section.title !== 'Sheets') {
+      const heading = document.createElement("div");
+      heading.className = "diff-results-heading";
+      heading.textContent = section.title;
+      container.appendChild(heading);
+    }
+    const list = document.createElement("ul");
+    list.className = "diff-results-list";
+    for (const text of section.items.slice(0, MAX_RESULT_ITEMS)) {
+      const li = document.createElement("li");
+      li.textContent = text;
+      list.appendChild(li);
+    }
+    if (section.items.length > MAX_RESULT_ITEMS) {
+      const li = document.createElement("li");
+      li.textContent = `… and ${section.items.length - MAX_RESULT_ITEMS} more`;
+      list.appendChild(li);
+    }
+    container.appendChild(list);
+  }
+  container.classList.remove("is-hidden");
+}
+
+function clearDiffResults() {
+  const container = document.getElementById("diff-results");
+  if (!container) return;
+  container.innerHTML = "";
+  container.classList.add("is-hidden");
+}
+
 // ===== Lazy per-sheet diff formatting =====
 const LAST_DIFF_KEY = 'cc_last_diff_cache_v1';
 const APPLIED_ADDRESSES_KEY = 'cc_applied_addresses_v1';
@@ -477,12 +1377,44 @@ let lastDiffMem = null; // in-memory diff for immediate use
 let diffEnabled = false; // whether to apply/generate overlays
 // Retain baseline model in memory for selection callouts
 let lastBaselineModelMem = null;
+let lastStyleGroupsMem = null;
+let lastChangesMem = null; // change list of the last diff (see changes.js)
 // Track an active callout so we can clear it on selection changes
 let activeCallout = { sheetName: null, address: null, weAddedValidation: false };
 let selectionHandlerRef = null; // EventHandler removal token
 
+// Compact form of a sheet diff's change set for the settings cache: gaps between successive row-major indexes and
+// one hex digit per code, e.g. { gaps: [0, 1, 998], codes: "31a" }
+function encodeCellCodes(cells) {
+  const gaps = [];
+  let codes = '';
+  let prev = 0;
+  for (const [i, code] of cells) {
+    gaps.push(i - prev);
+    codes += code.toString(16);
+    prev = i;
+  }
+  return { gaps, codes };
+}
+
+// Change set from encodeCellCodes, or from the base64 code grid cached by earlier versions
+function decodeCellCodes(data) {
+  const cells = new Map();
+  if (typeof data === 'string') {
+    const bin = atob(data);
+    for (let i = 0; i < bin.length; i++) if (bin.charCodeAt(i)) cells.set(i, bin.charCodeAt(i));
+    return cells;
+  }
+  let i = 0;
+  (data && Array.isArray(data.gaps) ? data.gaps : []).forEach((gap, k) => {
+    i += gap;
+    cells.set(i, parseInt(data.codes[k], 16));
+  });
+  return cells;
+}
+
 async function cacheDiffForLazyApply(diff) {
-  // Store a compact version: bySheet with rows, cols, and a base64 of cells buffer
+  // Store a compact version: bySheet with rows, cols, and the encoded change set
   const bySheet = {};
   const createdRemoved = { added: [], removed: [] };
   for (const [name, s] of Object.entries(diff.bySheet)) {
@@ -491,7 +1423,16 @@ async function cacheDiffForLazyApply(diff) {
       cols: s.cols,
       rowBase: Math.max(0, s.rowBase || 0),
       colBase: Math.max(0, s.colBase || 0),
-      cells: btoa(String.fromCharCode.apply(null, Array.from(s.cells))),
+      cells: encodeCellCodes(s.cells),
+      // Row/column alignment (null when positions line up one-to-one)
+      rowMap: s.rowMap ? Array.from(s.rowMap) : null,
+      colMap: s.colMap ? Array.from(s.colMap) : null,
+      structure: s.structure || null,
+      baseName: s.baseName || null,
+      moves: s.moves || null,
+      comments: s.comments && s.comments.length ? s.comments : null,
+      layout: s.layout && s.layout.length ? s.layout : null,
+      arrays: s.arrays && s.arrays.length ? s.arrays : null,
     };
   }
   // Track added/removed sheet names for messaging and overlays
@@ -519,18 +1460,37 @@ function restoreCachedDiff() {
   if (!data || !data.bySheet) return null;
   const bySheet = {};
   for (const [name, s] of Object.entries(data.bySheet)) {
-    const bin = atob(s.cells);
-    const arr = new Uint8Array(bin.length);
-    for (let i = 0; i < bin.length; i++) arr[i] = bin.charCodeAt(i);
-    bySheet[name] = { rows: s.rows, cols: s.cols, rowBase: Math.max(0, s.rowBase || 0), colBase: Math.max(0, s.colBase || 0), cells: arr };
+    bySheet[name] = {
+      rows: s.rows, cols: s.cols, rowBase: Math.max(0, s.rowBase || 0), colBase: Math.max(0, s.colBase || 0),
+      cells: decodeCellCodes(s.cells),
+      rowMap: Array.isArray(s.rowMap) ? Int32Array.from(s.rowMap) : null,
+      colMap: Array.isArray(s.colMap) ? Int32Array.from(s.colMap) : null,
+      structure: s.structure || null,
+      baseName: s.baseName || null,
+      moves: Array.isArray(s.moves) ? s.moves : null,
+      comments: Array.isArray(s.comments) ? s.comments : null,
+      layout: Array.isArray(s.layout) ? s.layout : null,
+      arrays: Array.isArray(s.arrays) ? s.arrays : null,
+    };
   }
   return { bySheet };
 }
 
+// Change records for the active diff; rebuilt from the cached grids when the pane reloaded (old values then read
+// as empty, since the baseline model is only kept in memory)
+function getChangeList() {
+  if (lastChangesMem) return lastChangesMem;
+  const cached = restoreCachedDiff();
+  if (!cached) return null;
+  lastChangesMem = createChangeList(cached.bySheet, null, lastBaselineModelMem, CHANGE_CATEGORIES);
+  return lastChangesMem;
+}
+
 async function clearCachedDiff() {
   try { await saveSettingAsync(LAST_DIFF_KEY, null); } catch (_) { /* ignore */ }
   try { await saveSettingAsync(APPLIED_ADDRESSES_KEY, {}); } catch (_) { /* ignore */ }
   lastDiffMem = null;
+  lastChangesMem = null;
 }
 
 function initLazyFormatting() {
@@ -572,7 +1532,7 @@ async function applyDiffOnActivation() {
       // 1) Prefer targeted deletion using stored rectangles for this sheet (fastest)
       // 2) Fallback to sweeping the used range once (slower, for first run or legacy leftovers)
       const prevRects = Array.isArray(applied[name]) ? applied[name] : [];
-      const colorSet = new Set([GREEN_COLOR, RED_COLOR, ORANGE_COLOR, OVERLAY_COLOR].map(normalizeColor));
+      const colorSet = new Set(DIFF_COLORS.map(normalizeColor));
       if (prevRects.length) {
         try { await deleteTaggedOverlaysForAddresses(context, active, prevRects, colorSet); } catch (_) {}
       } else {
@@ -604,7 +1564,8 @@ async function applyDiffOnActivation() {
 // Original direct-fill snapshotting has been removed; overlays are CF-only
 
 function buildAddressGroups(sheetDiff) {
-  // Returns merged rectangles per code as A1 ranges: { add: [A1:D5, ...], remove: [...], value: [...], formula: [...] }
+  // Returns merged rectangles per code as A1 ranges: { add: [A1:D5, ...], remove: [...], value: [...], formula: [...], refShift: [...],
+  // error: [...], errorResolved: [...], typeChanged: [...], moved: [...], numberFormat: [...], comment: [...] }
   // Why rectangles? Creating one CF per row-run is expensive on large sheets. By merging identical
   // horizontal runs across consecutive rows, we create far fewer CF rules, making apply/clear much faster.
   const { rows, cols, cells } = sheetDiff;
@@ -612,18 +1573,35 @@ function buildAddressGroups(sheetDiff) {
   const rowBase = Math.max(0, sheetDiff.rowBase || 0); // newly-added: top-left absolute row
   const colBase = Math.max(0, sheetDiff.colBase || 0); // newly-added: top-left absolute col
 
+  // Inserted rows/columns are highlighted as whole bands across the diff grid (see insertedBands below),
+  // so their cells are skipped when merging per-cell rectangles.
+  const insertedRow = new Uint8Array(rows);
+  const insertedCol = new Uint8Array(cols);
+  const structure = sheetDiff.structure || {};
+  for (const r of structure.insertedRows || []) if (r - rowBase >= 0 && r - rowBase < rows) insertedRow[r - rowBase] = 1;
+  for (const c of structure.insertedCols || []) if (c - colBase >= 0 && c - colBase < cols) insertedCol[c - colBase] = 1;
+  const skip = (r, c) => insertedRow[r] === 1 || insertedCol[c] === 1;
+
+  // Changed cells per row, as [c, code] in column order (the change set is row-major); only rows with changes
+  // are visited, so far-flung cells do not cost the rows between them
+  const changedRows = new Map();
+  for (const [i, code] of cells) {
+    const r = Math.floor(i / cols);
+    const c = i % cols;
+    if (skip(r, c)) continue;
+    if (!changedRows.has(r)) changedRows.set(r, []);
+    changedRows.get(r).push([c, code]);
+  }
+
   // Helper to collect horizontal segments for a given row and code
-  function collectRowSegments(rowIndex, code) {
+  function collectRowSegments(rowCells, code) {
     // Build [c1, c2] segments where the code matches consecutively on this row
     const segs = [];
-    let c = 0;
-    while (c < cols) {
-      const idx = rowIndex * cols + c;
-      if (cells[idx] !== code) { c++; continue; }
-      let c2 = c;
-      while (c2 + 1 < cols && cells[rowIndex * cols + (c2 + 1)] === code) c2++;
-      segs.push([c, c2]);
-      c = c2 + 1;
+    for (const [c, x] of rowCells) {
+      if (x !== code) continue;
+      const last = segs[segs.length - 1];
+      if (last && last[1] === c - 1) last[1] = c;
+      else segs.push([c, c]);
     }
     return segs;
   }
@@ -632,8 +1610,15 @@ function buildAddressGroups(sheetDiff) {
   function mergeRectanglesForCode(code) {
     const rectangles = []; // each: { r1, c1, r2, c2 }
     let prevRowOpen = new Map(); // key "c1,c2" -> rect
-    for (let r = 0; r < rows; r++) {
-      const segs = collectRowSegments(r, code);
+    let prevRow = -2;
+    for (const [r, rowCells] of changedRows) {
+      // A row without changes between two changed rows closes every open rectangle
+      if (r !== prevRow + 1) {
+        for (const rect of prevRowOpen.values()) rectangles.push(rect);
+        prevRowOpen = new Map();
+      }
+      prevRow = r;
+      const segs = collectRowSegments(rowCells, code);
       const nextRowOpen = new Map();
       // Try to extend previous rectangles when the same [c1,c2] segment appears in this row
       for (const [c1, c2] of segs) {
@@ -659,12 +1644,38 @@ function buildAddressGroups(sheetDiff) {
     return rectangles.map((rc) => toA1(rc.r1, rc.c1, rc.r2, rc.c2, rowBase, colBase));
   }
 
+  // One rectangle per run of consecutive inserted rows (full grid width) or columns (full grid height)
+  function insertedBands() {
+    const bands = [];
+    const runs = (flags, emit) => {
+      let i = 0;
+      while (i < flags.length) {
+        if (!flags[i]) { i++; continue; }
+        let j = i;
+        while (j + 1 < flags.length && flags[j + 1]) j++;
+        emit(i, j);
+        i = j + 1;
+      }
+    };
+    if (cols) runs(insertedRow, (r1, r2) => bands.push(toA1(r1, 0, r2, cols - 1, rowBase, colBase)));
+    if (rows) runs(insertedCol, (c1, c2) => bands.push(toA1(0, c1, rows - 1, c2, rowBase, colBase)));
+    return bands;
+  }
+
   // Build merged rectangles per code
   return {
-    add: mergeRectanglesForCode(1),
+    add: [...insertedBands(), ...mergeRectanglesForCode(1)],
     remove: mergeRectanglesForCode(2),
     value: mergeRectanglesForCode(3),
     formula: mergeRectanglesForCode(4),
+    refShift: mergeRectanglesForCode(5),
+    error: mergeRectanglesForCode(6),
+    errorResolved: mergeRectanglesForCode(7),
+    typeChanged: mergeRectanglesForCode(8),
+    moved: mergeRectanglesForCode(9),
+    numberFormat: mergeRectanglesForCode(10),
+    // Cells whose note or comment changed; outlined, and may also carry one of the fills above
+    comment: (sheetDiff.comments || []).map((e) => toA1(e.row, e.col, e.row, e.col)),
   };
 }
 
@@ -689,10 +1700,20 @@ function toA1(r1, c1, r2, c2, rOff = 0, cOff = 0) {
   return `$${colName(cc1)}$${rr1 + 1}:$${colName(cc2)}$${rr2 + 1}`;
 }
 
+// Dashed outline on all four edges of a conditional format
+function outlineCF(format, color) {
+  for (const edge of ['EdgeTop', 'EdgeBottom', 'EdgeLeft', 'EdgeRight']) {
+    const border = format.borders.getItem(edge);
+    border.style = 'Dash';
+    border.color = color;
+  }
+}
+
 async function applyGroupsToSheet(context, worksheet, groups, logFn) {
   
   // Apply conditional formats only; no direct fills
-  const applyCF = async (addresses, color, label) => {
+  // outline: draw a dashed border in color instead of a fill
+  const applyCF = async (addresses, color, label, outline = false) => {
     
     if (!addresses || addresses.length === 0) return 0;
     let created = 0;
@@ -714,7 +1735,11 @@ async function applyGroupsToSheet(context, worksheet, groups, logFn) {
         try {
           if (logFn && sampled < 3) await logFn([`CF(${label}): try cellValue on ${addr}`], 'CF Backend');
           const cf2 = rg.conditionalFormats.add(Excel.ConditionalFormatType.cellValue);
-          try { cf2.cellValue.format.fill.setSolidColor(color); } catch (_) { try { cf2.cellValue.format.fill.color = color; } catch (_) { /* ignore */ } }
+          if (outline) {
+            outlineCF(cf2.cellValue.format, color);
+          } else {
+            try { cf2.cellValue.format.fill.setSolidColor(color); } catch (_) { try { cf2.cellValue.format.fill.color = color; } catch (_) { /* ignore */ } }
+          }
           cf2.cellValue.rule = { operator: Excel.ConditionalCellValueOperator.greaterThan, formula1: "-1" };
         } catch (e1) {
           appliedType = "custom";
@@ -723,8 +1748,12 @@ async function applyGroupsToSheet(context, worksheet, groups, logFn) {
             if (logFn && sampled < 3) await logFn([`CF(${label}): try custom on ${addr}`], 'CF Backend');
             const cf = rg.conditionalFormats.add(Excel.ConditionalFormatType.custom);
             cf.custom.rule.formula = "=TRUE";
-            try { cf.custom.format.fill.setSolidColor(color); }
-            catch (_) { try { cf.custom.format.fill.color = color; } catch (_) { try { cf.format.fill.color = color; } catch (_) { /* ignore */ } } }
+            if (outline) {
+              outlineCF(cf.custom.format, color);
+            } else {
+              try { cf.custom.format.fill.setSolidColor(color); }
+              catch (_) { try { cf.custom.format.fill.color = color; } catch (_) { try { cf.format.fill.color = color; } catch (_) { /* ignore */ } } }
+            }
           } catch (e2) {
             if (logFn) await logFn([`CF(${label}) failed on ${addr}: ${String(e2 && e2.message ? e2.message : e2)}`], 'CF Backend');
             continue;
@@ -757,9 +1786,20 @@ async function applyGroupsToSheet(context, worksheet, groups, logFn) {
   const remN = await applyCF(groups.remove, RED_COLOR, 'remove');
   const valN = await applyCF(groups.value, OVERLAY_COLOR, 'value');
   const frmN = await applyCF(groups.formula, ORANGE_COLOR, 'formula');
+  const refN = await applyCF(groups.refShift || [], PEACH_COLOR, 'refShift');
+  const cflN = await applyCF(groups.conflict || [], PURPLE_COLOR, 'conflict');
+  const errN = await applyCF(groups.error || [], ERROR_COLOR, 'error');
+  const fixN = await applyCF(groups.errorResolved || [], TEAL_COLOR, 'errorResolved');
+  const typN = await applyCF(groups.typeChanged || [], BLUE_COLOR, 'typeChanged');
+  const movN = await applyCF(groups.moved || [], GRAY_COLOR, 'moved');
+  const nfmN = await applyCF(groups.numberFormat || [], PINK_COLOR, 'numberFormat');
+  const cmtN = await applyCF(groups.comment || [], COMMENT_COLOR, 'comment', true);
   await context.sync();
   
-  return { add: addN, remove: remN, value: valN, formula: frmN };
+  return {
+    add: addN, remove: remN, value: valN, formula: frmN, refShift: refN, conflict: cflN,
+    error: errN, errorResolved: fixN, typeChanged: typN, moved: movN, numberFormat: nfmN, comment: cmtN,
+  };
 }
 
 function wireClearDiffFormatting() {
@@ -779,7 +1819,7 @@ function wireClearDiffFormatting() {
         // Clear any active selection callout
         try { await clearActiveCallout(); } catch (_) {}
   const applied = getSetting(APPLIED_ADDRESSES_KEY) || {};
-  const colorSet = new Set([GREEN_COLOR, RED_COLOR, ORANGE_COLOR, OVERLAY_COLOR].map(normalizeColor));
+  const colorSet = new Set(DIFF_COLORS.map(normalizeColor));
 
         for (const ws of wsCol.items) {
           // Remove conditional formats with our colors only (no direct fills used)
@@ -819,6 +1859,7 @@ function wireClearDiffFormatting() {
       });
       // Now that we've used the stored addresses, clear the cached diff and in-memory copy
       await clearCachedDiff();
+      clearDiffResults();
       if (msg) msg.textContent = 'Cleared diff formatting on all sheets.';
     } catch (e) {
       if (msg) msg.textContent = 'Failed to clear diff formatting: ' + String(e && e.message ? e.message : e);
@@ -827,7 +1868,8 @@ function wireClearDiffFormatting() {
 }
 
 async function applyTabColors(diff) {
-  // Priority: red (removed) > orange (formula) > yellow (value) > green (add) > default
+  // Priority: bright red (new errors) > red (removed) > blue (type changed) > orange (formula) > peach (reference shift)
+  // > yellow (value) > teal (errors resolved) > green (add) > gray (moved) > pink (number format) > default
   await Excel.run(async (context) => {
     const wb = context.workbook;
     const wsCol = wb.worksheets;
@@ -844,11 +1886,17 @@ async function applyTabColors(diff) {
         // A sheet that existed in baseline but no longer exists now cannot be colored here;
         // we'll handle messaging and overlays separately.
       } else if (s && s.counts) {
-        const { add, remove, value, formula } = s.counts;
-        if (remove > 0) color = RED_COLOR;
+        const { add, remove, value, formula, refShift, errors, errorsResolved, typeChanged, moved, numberFormat } = s.counts;
+        if (errors > 0) color = ERROR_COLOR;
+        else if (remove > 0) color = RED_COLOR;
+        else if (typeChanged > 0) color = BLUE_COLOR;
         else if (formula > 0) color = ORANGE_COLOR;
+        else if (refShift > 0) color = PEACH_COLOR;
         else if (value > 0) color = OVERLAY_COLOR; // yellow
+        else if (errorsResolved > 0) color = TEAL_COLOR;
         else if (add > 0) color = GREEN_COLOR;
+        else if (moved > 0) color = GRAY_COLOR;
+        else if (numberFormat > 0) color = PINK_COLOR;
       } else {
         // no diff info; leave default color
       }
@@ -867,12 +1915,13 @@ async function applyAddedSheetOverlays(diff) {
   await Excel.run(async (context) => {
     const wb = context.workbook;
     const wsCol = wb.worksheets;
-    wsCol.load("items/name");
+    wsCol.load("items/name,items/visibility");
     await context.sync();
     const added = new Map(); // name -> worksheet
     for (const ws of wsCol.items) {
       const status = diff.sheetStatus ? diff.sheetStatus[ws.name] : undefined;
-      if (status === 'added') added.set(ws.name, ws);
+      // Hidden sheets are listed in the pane instead
+      if (status === 'added' && ws.visibility === Excel.SheetVisibility.visible) added.set(ws.name, ws);
     }
     if (added.size === 0) return;
     // Load used ranges for all added sheets (valuesOnly to avoid formatting-only regions)
@@ -1065,13 +2114,21 @@ Office.onReady(() => {
     // Startup banner: build/host/platform/version and requirement sets
     // Startup banner logs removed for production
     wireArchiveSnapshot();
-    populateSnapshotDropdown();
+    populateBaselinePickers();
     wireUploadBaseline();
+    wireKeepUploads();
   wireRunCrossWorkbookSummary();
+    wireCancelRun();
     initLazyFormatting();
     initSelectionCallouts();
     wireClearDiffFormatting();
   wireClearBaselines();
+    wireCompareOptions();
+    wireIncludeHidden();
+    wireThreeWayMerge();
+    wireKeyColumns();
+    wireSheetMap();
+    populateSheetDropdowns(['key-sheet', 'map-sheet']);
     // Revert selection button
     try {
       const rvBtn = document.getElementById('revert-selection');
@@ -1157,32 +2214,17 @@ function parseA1ToZeroBased(addr) {
   return { row: rowNum - 1, col: colNum - 1 };
 }
 
-function getBaselineCellValue(sheetName, r, c) {
-  try {
-    if (!lastBaselineModelMem) return { v: null, f: null, t: 'Empty' };
-    const sh = (lastBaselineModelMem.sheets || []).find((s) => s && s.name === sheetName);
-    if (!sh) return { v: null, f: null, t: 'Empty' };
-    // Translate absolute worksheet coordinates to local used-range indices
-    const rOff = Math.max(0, sh.rowOffset || 0);
-    const cOff = Math.max(0, sh.colOffset || 0);
-    const rl = r - rOff;
-    const cl = c - cOff;
-    if (rl < 0 || cl < 0 || rl >= (sh.rowCount || 0) || cl >= (sh.columnCount || 0)) return { v: null, f: null, t: 'Empty' };
-    const v = sh.values && sh.values[rl] ? sh.values[rl][cl] : null;
-    const f = sh.formulas && sh.formulas[rl] ? sh.formulas[rl][cl] : null;
-    const t = sh.valueTypes && sh.valueTypes[rl] ? (sh.valueTypes[rl][cl] || 'Empty') : 'Empty';
-    return { v, f, t };
-  } catch (_) {
-    return { v: null, f: null, t: 'Empty' };
-  }
-}
-
 function formatValueForDisplay(cell) {
   if (!cell) return '';
   const f = typeof cell.f === 'string' && cell.f ? cell.f : null;
   if (f && f.startsWith('=')) return f;
-  if (cell.v == null) return '';
-  return String(cell.v);
+  return valueText(cell);
+}
+
+// A cell's value as text; dates and times (date number format, see dates.js) read as dates, e.g. "2024-01-15"
+function valueText(cell) {
+  if (!cell || cell.v == null) return '';
+  return formatDateSerial(cell.v, cell.nf) || String(cell.v);
 }
 
 function parseA1RangeToZeroBased(rangeA1) {
@@ -1241,8 +2283,8 @@ async function clearActiveCallout() {
 async function handleSelectionChanged(event) {
   try {
     if (!diffEnabled) return;
-    const cached = restoreCachedDiff();
-    if (!cached) return;
+    const changes = getChangeList();
+    if (!changes) return;
     // Resolve active sheet and selection address
     await Excel.run(async (context) => {
       const wb = context.workbook;
@@ -1255,45 +2297,25 @@ async function handleSelectionChanged(event) {
       const addr = event && event.address ? event.address : null;
       const pos = parseA1ToZeroBased(addr);
       if (!pos) return; // only single-cell selections supported
-      const s = cached.bySheet && cached.bySheet[sheetName];
-      if (!s) return;
-      const rows = s.rows || 0;
-      const cols = s.cols || 0;
-      const rBase = Math.max(0, s.rowBase || 0);
-      const cBase = Math.max(0, s.colBase || 0);
-      if (pos.row < rBase || pos.col < cBase || pos.row >= rBase + rows || pos.col >= cBase + cols) return;
-      const rLocal = pos.row - rBase;
-      const cLocal = pos.col - cBase;
-      const code = s.cells[rLocal * cols + cLocal];
-      if (!code) return; // unchanged
+      const rec = changes.at(sheetName, pos.row, pos.col);
+      if (!rec) return; // unchanged
+      // A note or comment change shows below the cell's own change, or on its own
+      const commentRec = rec.comment ? rec : changes.forCategory('comment').at(sheetName, pos.row, pos.col);
+      const code = rec.code;
       // Read current cell value/formula
       const target = ws.getRange(addr);
-      target.load(["values", "formulas"]);
+      target.load(["values", "formulas", "valueTypes"]);
       await context.sync();
       const currVal = (target.values && target.values[0] ? target.values[0][0] : null);
       const currF = (target.formulas && target.formulas[0] ? target.formulas[0][0] : null);
-      const currCell = { v: currVal, f: typeof currF === 'string' ? currF : null };
-      const baseCell = getBaselineCellValue(sheetName, pos.row, pos.col);
+      const currT = (target.valueTypes && target.valueTypes[0] ? target.valueTypes[0][0] : null);
+      const currCell = { v: currVal, f: typeof currF === 'string' ? currF : null, t: currT };
+      const baseCell = { v: rec.old.value, f: rec.old.formula, t: rec.old.type };
               // If this is a yellow cell (value-only change) but the value now equals baseline, remove the overlay
         try {
           if (code === 3) {
-            // Use same normalization as diff comparison
-            const normalizeText = (text) => {
-              if (typeof text !== 'string') return text;
-              return text
-                .trim()
-                .normalize('NFC')
-                .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
-                .replace(/[\u200B-\u200D\uFEFF]/g, '')
-                .replace(/[\r\n]+/g, ' ')
-                .replace(/\s+/g, ' ')
-                .replace(/[\u2018\u2019]/g, "'")
-                .replace(/[\u201C\u201D]/g, '"')
-                .trim();
-            };
-            const cv = (typeof currCell.v === 'string') ? normalizeText(currCell.v) : currCell.v;
-            const bv = (typeof baseCell.v === 'string') ? normalizeText(baseCell.v) : baseCell.v;
-            if (cv === bv) {
+            // Same equality rules as the diff (tolerances, case, text normalization)
+            if (valuesEqual(currCell.v, baseCell.v, getCompareOptionsConfig())) {
             // Targeted cleanup like revert path
             try {
               const applied = getSetting(APPLIED_ADDRESSES_KEY) || {};
@@ -1304,7 +2326,7 @@ async function handleSelectionChanged(event) {
                 if (a1AddressContainsCell(a, pos.row, pos.col)) {
                   try {
                     const rr = ws.getRange(a);
-                    const deleted = await deleteTaggedOverlaysInRange(context, rr, new Set([GREEN_COLOR, RED_COLOR, ORANGE_COLOR, OVERLAY_COLOR].map(normalizeColor)), { matchRuleTypes: true, brutal: true });
+                    const deleted = await deleteTaggedOverlaysInRange(context, rr, new Set(DIFF_COLORS.map(normalizeColor)), { matchRuleTypes: true, brutal: true });
                     removedCount += deleted;
                   } catch (_) { /* ignore */ }
                 } else {
@@ -1323,24 +2345,57 @@ async function handleSelectionChanged(event) {
       } catch (_) { /* ignore */ }
       let newText = '';
       let oldText = '';
-      if (code === 4) { // formula change
-        newText = currCell.f && currCell.f.startsWith('=') ? currCell.f : (currCell.v == null ? '' : String(currCell.v));
-        oldText = baseCell && typeof baseCell.f === 'string' && baseCell.f ? baseCell.f : (baseCell && baseCell.v != null ? String(baseCell.v) : '');
+      if (code === 4 || code === 5) { // formula change, or the same formula pointing at other cells
+        newText = currCell.f && currCell.f.startsWith('=') ? currCell.f : valueText(currCell);
+        oldText = baseCell && typeof baseCell.f === 'string' && baseCell.f ? baseCell.f : valueText(baseCell);
+      } else if (code >= 6 && code <= 8) { // became an error, error resolved, or data type changed: show values with their types
+        newText = `${valueText(currCell)} (${currCell.t || 'Unknown'})`;
+        oldText = `${valueText(baseCell)} (${baseCell.t || 'Unknown'})`;
       } else if (code === 3) { // value change (same formula)
-        newText = currCell.v == null ? '' : String(currCell.v);
-        oldText = baseCell && baseCell.v != null ? String(baseCell.v) : '';
+        newText = valueText(currCell);
+        oldText = valueText(baseCell);
       } else if (code === 1) { // added in current
         newText = formatValueForDisplay(currCell);
         oldText = '';
       } else if (code === 2) { // removed from current
         newText = '';
         oldText = formatValueForDisplay(baseCell);
+      } else if (code === 9) { // moved block: name the other end instead of a bare add/remove
+        const label = rec.move ? rec.move.label : 'moved';
+        const vacated = rec.move && rec.move.role === 'from';
+        newText = vacated ? label : formatValueForDisplay(currCell);
+        oldText = vacated ? formatValueForDisplay(baseCell) : label;
+      } else if (code === 10) { // number format changed: show the formats next to the value
+        const value = formatValueForDisplay(currCell);
+        newText = `${rec.new.numberFormat || 'General'} (${value})`;
+        oldText = rec.old.numberFormat || 'General';
+      } else if (code === 11) { // style changed: list the changed properties, since the cell gets no overlay
+        const changed = styleChanges(rec.new.style, rec.old.style, comparedStyleGroups());
+        newText = describeStyle(rec.new.style, changed);
+        oldText = describeStyle(rec.old.style, changed);
+      } else if (code === 12) { // note or comment changed: show both texts
+        newText = rec.comment.new ? rec.comment.new.text : '(none)';
+        oldText = rec.comment.old ? rec.comment.old.text : '(none)';
+      } else if (code === 14) { // spill or array formula changed at its anchor: show both formulas and areas
+        const arrayText = (side) => (side ? `${side.formula || '(no formula)'} over ${side.range}` : '(none)');
+        newText = arrayText(rec.array.new);
+        oldText = arrayText(rec.array.old);
       }
       // If both strings are empty, do not show
       if (!newText && !oldText) {
         
         return;
       }
+      // Cells inside a table are named by table column, e.g. "Sales[Region] row 14"
+      const commentLine = commentRec && commentRec !== rec ? `\n${describeCommentChange(commentRec.comment)}` : '';
+      // Cells of a changed spill or array formula name it, under its anchor
+      let arrayLine = '';
+      if (rec.array && code !== 14) {
+        const atAnchor = rec.row === rec.array.row && rec.col === rec.array.col;
+        const from = rec.array.kind === 'spill' ? 'Spilled from' : 'Array formula at';
+        arrayLine = `\n${atAnchor ? '' : `${from} ${rec.array.address}: `}${describeArrayChange(rec.array)}`;
+      }
+      const message = `${rec.table ? `${rec.table.label}\n` : ''}New: ${newText}\nOld: ${oldText}${arrayLine}${commentLine}`;
       // Respect existing data validation if present
       let alreadyHasValidation = false;
       try {
@@ -1353,9 +2408,9 @@ async function handleSelectionChanged(event) {
       try {
         const dv = target.dataValidation;
         try {
-          dv.prompt = { showPrompt: true, title: 'New / Old', message: `New: ${newText}\nOld: ${oldText}` };
+          dv.prompt = { showPrompt: true, title: 'New / Old', message };
         } catch (_) {
-          try { dv.inputMessage = { showInputMessage: true, title: 'New / Old', message: `New: ${newText}\nOld: ${oldText}` }; } catch (_) { /* ignore */ }
+          try { dv.inputMessage = { showInputMessage: true, title: 'New / Old', message }; } catch (_) { /* ignore */ }
         }
         activeCallout = { sheetName, address: addr, weAddedValidation: true };
       } catch (e) { }
@@ -1364,14 +2419,14 @@ async function handleSelectionChanged(event) {
   } catch (_) { /* ignore */ }
 }
 
-// Revert the currently selected area (single cell or multi-cell) to the baseline for green(1)/red(2)/orange(4) only
+// Revert the currently selected area (single cell or multi-cell) to the baseline; value-only (yellow) and style changes are skipped
 async function revertSelectedCellIfDiff() {
   try {
     if (!diffEnabled) {
       return;
     }
-    const cached = restoreCachedDiff();
-    if (!cached) { return; }
+    const changes = getChangeList();
+    if (!changes) { return; }
     if (!lastBaselineModelMem) { return; }
     await Excel.run(async (context) => {
       const wb = context.workbook;
@@ -1387,41 +2442,35 @@ async function revertSelectedCellIfDiff() {
       // Parse rectangular selection like 'A1:D5' to zero-based bounds
       const rect = parseA1RangeToZeroBased(addr);
       if (!rect) { return; }
-      const sheetDiff = cached.bySheet && cached.bySheet[sheetName];
-      if (!sheetDiff) { return; }
-      const { rows, cols, cells } = sheetDiff;
-      const rBase = Math.max(0, sheetDiff.rowBase || 0);
-      const cBase = Math.max(0, sheetDiff.colBase || 0);
-      // Clamp selection to the absolute bounds of the diff grid
-      const absR1 = Math.max(rBase, rect.r1);
-      const absC1 = Math.max(cBase, rect.c1);
-      const absR2 = Math.min(rBase + rows - 1, rect.r2);
-      const absC2 = Math.min(cBase + cols - 1, rect.c2);
-      if (absR1 > absR2 || absC1 > absC2) { return; }
-
-      // Queue cell edits in one batch: for each cell in selection, apply baseline
-      // Only revert add/remove/formula-changed cells (codes 1,2,4); skip value-only (3)
+      const date1904 = await captureDate1904(context);
+      // Queue cell edits in one batch: for each changed cell in selection, apply baseline
+      // Skip value-only (recalculated), style, note/comment and layout changes; everything else, including error and type transitions, is reverted
       const changedCells = [];
-      for (let rAbs = absR1; rAbs <= absR2; rAbs++) {
-        for (let cAbs = absC1; cAbs <= absC2; cAbs++) {
-          const rLocal = rAbs - rBase;
-          const cLocal = cAbs - cBase;
-          const code = cells[rLocal * cols + cLocal];
-          if (!(code === 1 || code === 2 || code === 4)) continue;
-          const base = getBaselineCellValue(sheetName, rAbs, cAbs);
-          const baselineFormula = (typeof base.f === 'string' && base.f) ? base.f : null;
-          const baselineValue = (base.v == null ? null : base.v);
-          const cellRange = ws.getRangeByIndexes(rAbs, cAbs, 1, 1);
-          // Prefer formulas when present; else set literal or blank
-          if (baselineFormula) {
-            try { cellRange.formulas = [[baselineFormula]]; } catch (_) {}
-          } else if (baselineValue !== null) {
-            try { cellRange.values = [[baselineValue]]; } catch (_) {}
-          } else {
-            try { cellRange.values = [[""]]; } catch (_) {}
-          }
-          changedCells.push({ r: rAbs, c: cAbs });
+      const toRevert = changes
+        .forSheet(sheetName)
+        .inRange(rect)
+        .forCategory(['added', 'removed', 'formula', 'refShift', 'error', 'errorResolved', 'typeChanged', 'moved', 'numberFormat']);
+      for (const rec of toRevert) {
+        // Cells of a spill or array formula follow their anchor; writing one would block the spill or fail
+        if (rec.array && (rec.row !== rec.array.row || rec.col !== rec.array.col)) continue;
+        if (rec.category === 'numberFormat') {
+          // Content is unchanged; only the format goes back
+          try { ws.getRangeByIndexes(rec.row, rec.col, 1, 1).numberFormat = [[rec.old.numberFormat || 'General']]; } catch (_) { /* ignore */ }
+          changedCells.push({ r: rec.row, c: rec.col });
+          continue;
+        }
+        const baselineFormula = rec.old.formula || null;
+        const baselineValue = (rec.old.value == null ? null : rec.old.value);
+        const cellRange = ws.getRangeByIndexes(rec.row, rec.col, 1, 1);
+        // Prefer formulas when present; else set literal or blank
+        if (baselineFormula) {
+          try { cellRange.formulas = [[baselineFormula]]; } catch (_) {}
+        } else if (baselineValue !== null) {
+          try { cellRange.values = [[workbookDateValue(baselineValue, rec.old.numberFormat, date1904)]]; } catch (_) {}
+        } else {
+          try { cellRange.values = [[""]]; } catch (_) {}
         }
+        changedCells.push({ r: rec.row, c: rec.col });
       }
 
       // If nothing to do, return early